@@ -1,62 +1,317 @@
 /**
  * api.js — CyberVidya API Client
  * All requests to https://kiet.cybervidya.net/api
- * Token stored in localStorage as 'authToken'
+ * Token stored per profile (see profiles.js) as 'authToken'
+ * Responses cached per profile as 'cached*' ({ data, ts })
+ * Requests go through a swappable transport; ?fixtures=1 serves canned
+ * data from fixtures.js instead of the live portal.
  */
 
-const API_BASE = 'https://kiet.cybervidya.net/api';
+import { store, removeProfile } from './profiles.js';
+
+const API_ORIGIN = 'https://kiet.cybervidya.net';
+const API_BASE = API_ORIGIN + '/api';
+
+// ── Transport ────────────────────────────────────────────────
+// A transport is { request(url, init) } resolving to a fetch Response.
+
+// kiet.cybervidya.net sends no CORS headers, so public deployments (like
+// GitHub Pages) go through a relay — see relay/server.mjs. The relay is
+// set in Settings ('proxyBase') or by the deployer with
+// <meta name="skipgenie-relay" content="https://…">. Without one,
+// requests go straight to the portal, which only works on localhost.
+const PROXY_KEY = 'proxyBase';
+
+export function getProxyBase() {
+  const saved = localStorage.getItem(PROXY_KEY);
+  if (saved !== null) return saved;
+  return document.querySelector('meta[name="skipgenie-relay"]')?.content.trim() || '';
+}
+
+// '' means direct; null drops the user's choice and restores the default
+export function setProxyBase(base) {
+  if (base === null) localStorage.removeItem(PROXY_KEY);
+  else localStorage.setItem(PROXY_KEY, base.trim().replace(/\/+$/, ''));
+}
+
+function isLocalhost() {
+  return window.location.hostname.includes('localhost') || window.location.hostname.includes('127.0.0.1');
+}
+
+function proxied(url) {
+  const base = getProxyBase();
+  if (!base) return url;
+  if (url.startsWith(API_BASE + '/')) return base + url.slice(API_ORIGIN.length);
+  return `${base}/photo?url=${encodeURIComponent(url)}`;
+}
+
+export const httpTransport = {
+  request(url, init) { return fetch(proxied(url), init); },
+};
+
+let transport = httpTransport;
+
+export function setTransport(t) {
+  transport = t || httpTransport;
+}
+
+// ── Fixture mode ─────────────────────────────────────────────
+// ?fixtures=1 turns it on for the tab (sessionStorage), ?fixtures=0 off.
+// See fixtures.js for latency / error / 401 simulation params.
+const FIXTURE_KEY = 'fixtureMode';
+const FIXTURE_TOKEN = 'GlobalEducation fixture';
+
+function readFixtureConfig() {
+  const params = new URLSearchParams(window.location.search);
+  if (!params.has('fixtures')) {
+    try { return JSON.parse(sessionStorage.getItem(FIXTURE_KEY)); } catch { return null; }
+  }
+  if (['0', 'off', 'false'].includes(params.get('fixtures'))) {
+    sessionStorage.removeItem(FIXTURE_KEY);
+    return null;
+  }
+  const num = (key, def) => {
+    const n = parseFloat(params.get(key));
+    return isNaN(n) ? def : n;
+  };
+  const config = {
+    latency: num('latency', 300),
+    errorRate: num('errorRate', 0),
+    errorPaths: (params.get('errorPaths') || '').split(',').map(s => s.trim()).filter(Boolean),
+    authFailAfter: num('authFailAfter', null),
+    offline: params.get('offline') === '1',
+  };
+  sessionStorage.setItem(FIXTURE_KEY, JSON.stringify(config));
+  return config;
+}
+
+export const fixtureMode = readFixtureConfig();
+if (fixtureMode) {
+  const { createFixtureTransport } = await import('./fixtures.js');
+  setTransport(createFixtureTransport(fixtureMode));
+}
 
 // ── Auth ─────────────────────────────────────────────────────
 export function getToken() {
-  return localStorage.getItem('authToken');
+  return store.get('authToken') || (fixtureMode ? FIXTURE_TOKEN : null);
+}
+
+// Same normalisation as the login page: unquote, add the portal's prefix
+function normalizeToken(raw) {
+  let token = (raw || '').trim();
+  try { if (token.startsWith('"')) token = JSON.parse(token); } catch { }
+  if (!token.includes('GlobalEducation')) token = 'GlobalEducation ' + token;
+  return token;
+}
+
+export function setToken(raw) {
+  store.set('authToken', normalizeToken(raw));
+  store.set('authTokenTimestamp', Date.now().toString());
+}
+
+// Portal tokens are JWTs behind a 'GlobalEducation ' prefix. Returns the
+// `exp` claim in ms, or null when the token carries no readable expiry.
+export function tokenExpiry(token = getToken()) {
+  const payload = (token || '').replace(/^GlobalEducation\s+/, '').split('.')[1];
+  if (!payload) return null;
+  try {
+    const claims = JSON.parse(atob(payload.replace(/-/g, '+').replace(/_/g, '/')));
+    return typeof claims.exp === 'number' ? claims.exp * 1000 : null;
+  } catch { return null; }
 }
 
 export function isLoggedIn() {
+  if (fixtureMode) return true;
   const token = getToken();
-  const ts = localStorage.getItem('authTokenTimestamp');
-  if (!token || !ts) return false;
+  if (!token) return false;
+  const exp = tokenExpiry(token);
+  if (exp) return exp > Date.now();
+  // No embedded expiry — fall back to the token's age
+  const ts = store.get('authTokenTimestamp');
+  if (!ts) return false;
   const days = (Date.now() - parseInt(ts)) / (1000 * 60 * 60 * 24);
   return days <= 30;
 }
 
+/**
+ * Checks the token for real: its embedded expiry when it has one, else a
+ * cheap probe request. Network failures count as valid — being offline
+ * is not a reason to ask for a new login.
+ * Resolves to { valid, expiresAt } (expiresAt null when unknown).
+ */
+export async function checkSession() {
+  if (!getToken()) return { valid: false, expiresAt: null };
+  const exp = tokenExpiry();
+  if (exp) return { valid: exp > Date.now(), expiresAt: exp };
+  try {
+    await getStudentProfileInfo();
+    return { valid: true, expiresAt: null };
+  } catch (err) {
+    return { valid: !err.isAuthError, expiresAt: null };
+  }
+}
+
+/**
+ * Tries a pasted token without saving it: its embedded expiry, then the
+ * portal itself, asked with that token. Resolves { valid, token,
+ * expiresAt, studentId, error } — studentId is whose token it is, so the
+ * caller can refuse one that belongs to another account. Nothing is cached.
+ */
+export async function verifyToken(raw) {
+  const token = normalizeToken(raw);
+  const expiresAt = tokenExpiry(token);
+  if (expiresAt && expiresAt <= Date.now()) return { valid: false, error: 'expired' };
+  try {
+    const details = await apiFetch('/attendance/course/component/student', { token });
+    return { valid: true, token, expiresAt, studentId: details?.studentId ?? null };
+  } catch (err) {
+    return { valid: false, error: err.isAuthError ? 'rejected' : err.message };
+  }
+}
+
+// Listeners run whenever the portal rejects the token
+const expiryListeners = [];
+
+export function onSessionExpired(fn) {
+  expiryListeners.push(fn);
+}
+
+// Logs out of the active profile only — its token, cache and settings go,
+// other profiles are untouched. Returns the profile now active, or null.
 export function doLogout() {
-  ['authToken', 'authTokenTimestamp', 'studentId', 'cachedProfile', 'cachedCourses', 'cachedDashboard']
-    .forEach(k => localStorage.removeItem(k));
+  return removeProfile();
 }
 
 // ── Core fetch with auth ──────────────────────────────────────
-async function apiFetch(path, options = {}) {
-  const token = getToken();
-  let url = API_BASE + path;
+const TIMEOUT_MS = 15000;
+const RETRY_DELAYS = [600, 1800]; // wait before the 2nd and 3rd attempt
+const inflight = new Map();       // `${method} ${path} ${body}` -> shared request
 
-  // Use a CORS proxy for public deployments (like GitHub Pages)
-  // as kiet.cybervidya.net doesn't have CORS headers for random domains.
-  if (!window.location.hostname.includes('localhost') && !window.location.hostname.includes('127.0.0.1')) {
-    url = 'https://corsproxy.io/?' + encodeURIComponent(url);
-  }
+function abortError() {
+  return new DOMException('Request cancelled', 'AbortError');
+}
 
-  const res = await fetch(url, {
-    ...options,
-    headers: {
-      'Authorization': token || '',
-      'Content-Type': 'application/json',
-      ...(options.headers || {}),
-    },
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const timer = setTimeout(resolve, ms);
+    signal.addEventListener('abort', () => { clearTimeout(timer); reject(abortError()); }, { once: true });
   });
+}
+
+// One attempt, cut off after `timeout` ms or when `signal` aborts.
+// Errors worth another try are flagged `retryable`.
+async function attempt(path, options, signal) {
+  const ctrl = new AbortController();
+  const timer = setTimeout(() => ctrl.abort(), options.timeout || TIMEOUT_MS);
+  const cancel = () => ctrl.abort();
+  signal.addEventListener('abort', cancel, { once: true });
+
+  try {
+    let res;
+    try {
+      res = await transport.request(API_BASE + path, {
+        method: options.method,
+        body: options.body,
+        signal: ctrl.signal,
+        headers: {
+          'Authorization': options.token || getToken() || '',
+          'Content-Type': 'application/json',
+        },
+      });
+    } catch (err) {
+      if (ctrl.signal.aborted) throw err; // cancelled or timed out — sorted out below
+      // Direct calls are blocked by CORS everywhere but localhost
+      if (transport === httpTransport && !getProxyBase() && !isLocalhost()) {
+        throw new Error('Could not reach CyberVidya — set an API relay in Settings.');
+      }
+      err.retryable = true;
+      throw err;
+    }
+
+    if (res.status === 401 || res.status === 403) {
+      // A token being tried out (options.token) says nothing about the session
+      if (!options.token) expiryListeners.forEach(fn => fn());
+      throw new AuthError('Session expired. Please login again.');
+    }
+    if (!res.ok) {
+      const err = new Error(`API error ${res.status}: ${path}`);
+      err.retryable = res.status >= 500;
+      throw err;
+    }
+
+    const json = await res.json();
+    return json.data ?? json;
+  } catch (err) {
+    if (signal.aborted) throw abortError();
+    if (ctrl.signal.aborted) {
+      const timeout = new Error(`Request timed out: ${path}`);
+      timeout.retryable = true;
+      throw timeout;
+    }
+    throw err;
+  } finally {
+    clearTimeout(timer);
+    signal.removeEventListener('abort', cancel);
+  }
+}
 
-  if (res.status === 401 || res.status === 403) {
-    throw new AuthError('Session expired. Please login again.');
+async function withRetries(path, options, signal) {
+  const delays = options.retry ? RETRY_DELAYS : [];
+  for (let i = 0; ; i++) {
+    try {
+      return await attempt(path, options, signal);
+    } catch (err) {
+      if (!err.retryable || i >= delays.length) throw err;
+      // ±20% jitter so a burst of failures doesn't retry in lockstep
+      await sleep(delays[i] * (0.8 + Math.random() * 0.4), signal);
+    }
   }
-  if (!res.ok) {
-    throw new Error(`API error ${res.status}: ${path}`);
+}
+
+/**
+ * options: { method, body, signal, timeout, retry, token }
+ * `token` overrides the stored one for this request only.
+ * Identical requests already in flight share one network call. A caller's
+ * `signal` only cancels its own wait (rejecting with an AbortError); the
+ * shared call is aborted once every caller with a signal has given up.
+ * GETs retry on 5xx, network errors and timeouts; other methods only when
+ * they pass `retry: true`.
+ */
+function apiFetch(path, options = {}) {
+  const { signal } = options;
+  if (signal?.aborted) return Promise.reject(abortError());
+
+  const method = options.method || 'GET';
+  const key = `${method} ${path} ${options.body || ''} ${options.token || ''}`;
+  let entry = inflight.get(key);
+  if (!entry) {
+    const controller = new AbortController();
+    entry = { controller, waiting: 0, detached: false };
+    entry.promise = withRetries(path, { ...options, method, retry: options.retry ?? method === 'GET' }, controller.signal)
+      .finally(() => { if (inflight.get(key) === entry) inflight.delete(key); });
+    inflight.set(key, entry);
   }
+  if (!signal) { entry.detached = true; return entry.promise; }
 
-  const json = await res.json();
-  return json.data ?? json;
+  entry.waiting++;
+  return new Promise((resolve, reject) => {
+    const leave = () => {
+      reject(abortError());
+      // Callers without a signal keep the request alive
+      if (--entry.waiting === 0 && !entry.detached) {
+        if (inflight.get(key) === entry) inflight.delete(key);
+        entry.controller.abort();
+      }
+    };
+    signal.addEventListener('abort', leave, { once: true });
+    entry.promise.then(resolve, reject).finally(() => signal.removeEventListener('abort', leave));
+  });
 }
 
-async function apiPost(path, body) {
+// Read-only POSTs (queries with a JSON body) can opt into retries
+async function apiPost(path, body, options = {}) {
   return apiFetch(path, {
+    ...options,
     method: 'POST',
     body: JSON.stringify(body),
   });
@@ -67,6 +322,117 @@ class AuthError extends Error {
 }
 export { AuthError };
 
+// ── Offline cache (stale-while-revalidate) ───────────────────
+const CACHE_PREFIX = 'cached';
+// Fixture responses get their own keys so they never mix with real data
+const FIXTURE_PREFIX = 'fixture:';
+let connection = { offline: false, ts: null, error: null };
+const connectionListeners = [];
+
+function storageKey(key) {
+  return fixtureMode ? FIXTURE_PREFIX + key : key;
+}
+
+export function readCache(key) {
+  try { return JSON.parse(store.get(storageKey(key))); } catch { return null; }
+}
+
+// Schedules are cached per date range, so the rolling home range alone adds
+// a key every day; only the most recently written ranges are kept. Their
+// keys are listed, oldest first, under SCHEDULE_INDEX so a normal write
+// never has to read the cached entries themselves.
+const SCHEDULE_PREFIX = 'cachedSchedule_';
+const SCHEDULE_INDEX = 'cachedScheduleKeys';
+const MAX_SCHEDULES = 12;
+
+function trackSchedule(key) {
+  const indexKey = storageKey(SCHEDULE_INDEX);
+  let keys;
+  try { keys = JSON.parse(store.get(indexKey)); } catch { }
+  // First run with an index: start from what is already cached (date order)
+  if (!Array.isArray(keys)) {
+    const pre = storageKey(SCHEDULE_PREFIX);
+    keys = store.keys().filter(k => k.startsWith(pre)).map(k => k.slice(storageKey('').length)).sort();
+  }
+  keys = [...keys.filter(k => k !== key), key];
+  keys.splice(0, keys.length - MAX_SCHEDULES).forEach(k => store.remove(storageKey(k)));
+  try { store.set(indexKey, JSON.stringify(keys)); } catch { }
+}
+
+// Cache entries of this mode, oldest first. Reads every entry, so only
+// for the rare quota error.
+function evictionOrder(except) {
+  const pre = storageKey(CACHE_PREFIX);
+  return store.keys()
+    .filter(k => k.startsWith(pre) && k !== except && k !== storageKey(SCHEDULE_INDEX))
+    .map(k => { try { return { k, ts: JSON.parse(store.get(k))?.ts || 0 }; } catch { return { k, ts: 0 }; } })
+    .sort((a, b) => a.ts - b.ts)
+    .map(e => e.k);
+}
+
+function writeCache(key, data) {
+  const target = storageKey(key);
+  const value = JSON.stringify({ data, ts: Date.now() });
+  try {
+    store.set(target, value);
+  } catch {
+    // Quota exceeded: drop the oldest entries until it fits, so settings
+    // and disputes written elsewhere still have room
+    const old = evictionOrder(target);
+    for (;;) {
+      if (!old.length) return; // The app still works, just without this entry
+      store.remove(old.shift());
+      try { store.set(target, value); break; } catch { }
+    }
+  }
+  if (key.startsWith(SCHEDULE_PREFIX)) trackSchedule(key);
+}
+
+export function clearCache() {
+  store.keys()
+    .filter(k => k.startsWith(CACHE_PREFIX) || k.startsWith(FIXTURE_PREFIX + CACHE_PREFIX))
+    .forEach(k => store.remove(k));
+}
+
+// Listener gets { offline, ts, error } — ts is when the data on screen was fetched
+export function onConnectionChange(fn) {
+  connectionListeners.push(fn);
+  fn(connection);
+}
+
+function setConnection(next) {
+  if (connection.offline === next.offline && connection.ts === next.ts) return;
+  connection = next;
+  connectionListeners.forEach(fn => fn(connection));
+}
+
+/**
+ * Network-first fetch backed by the cache.
+ * `opts.onCached(data, ts)` is called straight away with the cached copy
+ * (if any) so the UI can paint before the network answers. `opts.signal`
+ * is handed to the loader so the caller can cancel the request. On network or
+ * proxy failure the cached copy is returned instead; auth errors and
+ * cache misses still throw.
+ */
+async function withCache(key, loader, opts = {}) {
+  const hit = readCache(key);
+  if (hit && opts.onCached) opts.onCached(hit.data, hit.ts);
+
+  try {
+    const data = await loader(opts.signal);
+    writeCache(key, data);
+    if (connection.offline) setConnection({ offline: false, ts: null, error: null });
+    return data;
+  } catch (err) {
+    // Cancelled on purpose — not a connection problem
+    if (err.isAuthError || err.name === 'AbortError' || !hit) throw err;
+    // Report the oldest data being shown, so the banner never understates staleness
+    const ts = connection.offline && connection.ts ? Math.min(connection.ts, hit.ts) : hit.ts;
+    setConnection({ offline: true, ts, error: err.message });
+    return hit.data;
+  }
+}
+
 // ── Helper ───────────────────────────────────────────────────
 function fmtDate(d) {
   const y = d.getFullYear(), m = String(d.getMonth() + 1).padStart(2, '0'), dd = String(d.getDate()).padStart(2, '0');
@@ -75,64 +441,83 @@ function fmtDate(d) {
 
 // ── API calls ────────────────────────────────────────────────
 
-export async function getDashboardAttendance() {
-  return apiFetch('/student/dashboard/attendance');
+// Every call takes an optional trailing `opts` — see withCache()
+
+export async function getDashboardAttendance(opts) {
+  return withCache('cachedDashboard', signal => apiFetch('/student/dashboard/attendance', { signal }), opts);
 }
 
-export async function getRegisteredCourses() {
-  return apiFetch('/student/dashboard/registered-courses');
+export async function getRegisteredCourses(opts) {
+  return withCache('cachedCourses', signal => apiFetch('/student/dashboard/registered-courses', { signal }), opts);
 }
 
-export async function getAttendanceAndDetails() {
-  return apiFetch('/attendance/course/component/student');
+export async function getAttendanceAndDetails(opts) {
+  return withCache('cachedProfile', signal => apiFetch('/attendance/course/component/student', { signal }), opts);
 }
 
-export async function getStudentProfileInfo() {
-  return apiFetch('/info/student/fetch');
+export async function getStudentProfileInfo(opts) {
+  return withCache('cachedStudentInfo', signal => apiFetch('/info/student/fetch', { signal }), opts);
 }
 
-export async function getWeeklySchedule(startDate, endDate) {
+export async function getWeeklySchedule(startDate, endDate, opts) {
   const start = startDate || fmtDate(new Date());
   const end = endDate || fmtDate(new Date(Date.now() + 6 * 86400000));
-  return apiFetch(`/student/schedule/class?weekStartDate=${start}&weekEndDate=${end}`);
+  return withCache(`cachedSchedule_${start}_${end}`,
+    signal => apiFetch(`/student/schedule/class?weekStartDate=${start}&weekEndDate=${end}`, { signal }), opts);
 }
 
-export async function getLectureWiseAttendance(studentId, courseId, courseCompId) {
-  const data = await apiPost('/attendance/schedule/student/course/attendance/percentage', {
-    studentId, courseId, courseCompId
-  });
-  // Returns array — first element has lectureList
-  if (Array.isArray(data) && data[0]) return data[0];
-  return { presentCount: 0, lectureCount: 0, percent: 0, lectureList: [] };
+export async function getLectureWiseAttendance(studentId, courseId, courseCompId, opts) {
+  return withCache(`cachedLectures_${courseId}_${courseCompId}`, async signal => {
+    const data = await apiPost('/attendance/schedule/student/course/attendance/percentage', {
+      studentId, courseId, courseCompId
+    }, { signal, retry: true });
+    // Returns array — first element has lectureList
+    if (Array.isArray(data) && data[0]) return data[0];
+    return { presentCount: 0, lectureCount: 0, percent: 0, lectureList: [] };
+  }, opts);
 }
 
-export async function getExamSchedule() {
-  return apiFetch('/exam/schedule/student/exams');
+export async function getExamSchedule(opts) {
+  return withCache('cachedExamSchedule', signal => apiFetch('/exam/schedule/student/exams', { signal }), opts);
 }
 
-export async function getExamScore() {
-  return apiFetch('/exam/score/get/score');
+export async function getExamScore(opts) {
+  return withCache('cachedExamScore', signal => apiFetch('/exam/score/get/score', { signal }), opts);
 }
 
-export async function getExamSessions(studentId) {
-  return apiFetch(`/exam/form/session/config/getById/student/${studentId}`);
+export async function getExamSessions(studentId, opts) {
+  return withCache(`cachedExamSessions_${studentId}`,
+    signal => apiFetch(`/exam/form/session/config/getById/student/${studentId}`, { signal }), opts);
 }
 
+const photoRequests = new Map(); // photoUrl -> pending base64 promise
+
 export async function getProfilePhoto(photoUrl) {
-  // Fetches the photo as base64
+  const hit = readCache('cachedPhoto');
+  if (hit?.data?.url === photoUrl) return hit.data.b64;
+  // Profile page and sidebar ask at the same time — fetch once
+  if (!photoRequests.has(photoUrl)) {
+    photoRequests.set(photoUrl, fetchPhoto(photoUrl).finally(() => photoRequests.delete(photoUrl)));
+  }
+  return photoRequests.get(photoUrl);
+}
+
+// Fetches the photo as base64
+async function fetchPhoto(photoUrl) {
   const token = getToken();
   try {
-    let url = photoUrl;
-    if (!window.location.hostname.includes('localhost') && !window.location.hostname.includes('127.0.0.1')) {
-      url = 'https://corsproxy.io/?' + encodeURIComponent(url);
-    }
-    const res = await fetch(url, { headers: { Authorization: token } });
+    const res = await transport.request(photoUrl, {
+      headers: { Authorization: token },
+      signal: AbortSignal.timeout(TIMEOUT_MS),
+    });
     if (!res.ok) return null;
     const blob = await res.blob();
-    return new Promise(resolve => {
+    const b64 = await new Promise(resolve => {
       const reader = new FileReader();
       reader.onload = () => resolve(reader.result);
       reader.readAsDataURL(blob);
     });
+    writeCache('cachedPhoto', { url: photoUrl, b64 });
+    return b64;
   } catch { return null; }
 }
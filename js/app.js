@@ -5,16 +5,39 @@
  */
 
 import {
-    isLoggedIn, doLogout, getToken,
+    isLoggedIn, doLogout, getToken, setToken,
+    checkSession, onSessionExpired,
     getDashboardAttendance, getRegisteredCourses,
     getAttendanceAndDetails, getStudentProfileInfo,
     getWeeklySchedule, getLectureWiseAttendance,
-    getExamSchedule, getExamScore, getProfilePhoto,
-    AuthError
+    getExamSchedule, getExamScore, getExamSessions, getProfilePhoto,
+    onConnectionChange, AuthError, fixtureMode,
+    getProxyBase, setProxyBase, verifyToken
 } from './api.js';
+import { getPolicy, savePolicy, resetPolicy, policyFor } from './policy.js';
+import { saveSnapshot, getSnapshots, clearHistory } from './history.js';
+import { buildCalendar, downloadCalendar, uidPart } from './ics.js';
+import {
+    getNotifySettings, saveNotifySettings, notificationPermission,
+    requestNotificationPermission, showNotification
+} from './notify.js';
+import { getDisputes, addDispute, removeDispute, findDispute, disputesFor } from './disputes.js';
+import {
+    store, getProfiles, activeProfile, activeProfileId,
+    switchProfile, renameProfile, rememberIdentity
+} from './profiles.js';
+import { html, actions } from './html.js';
+import {
+    GRADES, GRADE_POINTS, gpa, pastTotals, projectGrades, requiredSgpa,
+    subjectMarks, gradeHistory, subjectImpact, getGradePlan, saveGradePlan
+} from './grades.js';
+import { currentRoute, setRoute, onRouteChange } from './router.js';
+import { recordSchedule, changesOn, classKey, changeLabel, summarizeChanges } from './changes.js';
 
 // ─── Auth Guard ───────────────────────────────────────────────
-if (!isLoggedIn()) { window.location.href = 'index.html'; }
+// An expired token still gets the app (with cached data) and a re-login
+// prompt; only a missing token goes back to the login page.
+if (!getToken()) { window.location.href = 'index.html'; }
 
 // ─── State ───────────────────────────────────────────────────
 let state = {
@@ -23,10 +46,15 @@ let state = {
     courses: [],
     profilePhoto: null,
     ttWeekOffset: 0,
+    ttView: 'week',     // week | day
+    ttDay: null,        // day view: 0 = Monday … 6 = Sunday
+    ttWeek: null,       // { monday, schedule } last rendered, for view/day switches
     examSchedule: null,
     examScores: null,
     ttSchedule: null,
     lectureCache: {},   // key: `${courseId}_${courseCompId}`
+    todayStatus: {},    // courseId -> PRESENT | ABSENT | PENDING | SCHEDULED
+    offline: false,     // true while showing cached data after a failed fetch
     theme: localStorage.getItem('theme') || 'dark',
 };
 
@@ -40,12 +68,21 @@ const PAGE_LOADERS = {
     timetable: loadTimetable,
     exams: loadExams,
     projection: loadProjection,
+    trends: loadTrends,
+    patterns: loadPatterns,
     profile: loadProfile,
+    settings: loadSettings,
 };
 let activePage = 'home';
 let pagesLoaded = new Set();
 
-window.navigate = function (page) {
+function navigate(page) {
+    showPage(page);
+    syncRoute();
+}
+
+// Switches the visible page without touching the URL
+function showPage(page) {
     if (activePage === page) { closeSidebar(); return; }
     activePage = page;
 
@@ -61,37 +98,277 @@ window.navigate = function (page) {
         pagesLoaded.add(page);
         PAGE_LOADERS[page]?.();
     }
-};
+}
+
+// ─── Routing ──────────────────────────────────────────────────
+// The URL hash mirrors what is on screen (see router.js). Changing page
+// and opening a lecture list add history entries; the timetable week and
+// projection inputs update the current one. Back/forward replays them.
+let lectureEntry = false;   // the open lecture list pushed its own entry
+let routeWaiting = null;    // course-dependent part of a route, until courses load
+
+function routeFor(page = activePage) {
+    const params = {};
+    if (page === 'timetable' && state.ttWeekOffset) params.week = state.ttWeekOffset;
+    if (page === 'timetable' && state.ttView === 'day') Object.assign(params, { view: 'day', day: state.ttDay });
+    if (page === 'projection' && projectionParams) Object.assign(params, projectionParams);
+    if (lectureModalArgs) [params.course, params.comp] = lectureModalArgs;
+    return { page, params };
+}
+
+function syncRoute(opts) {
+    setRoute(routeFor(), opts);
+}
+
+function applyRoute({ page, params }, { initial = false } = {}) {
+    if (!PAGE_LOADERS[page]) page = 'home';
+    closeExportModal();
+
+    // Set before showPage so a first visit loads the linked week directly
+    const week = page === 'timetable' ? parseInt(params.week) || 0 : state.ttWeekOffset;
+    const reload = week !== state.ttWeekOffset && pagesLoaded.has('timetable');
+    state.ttWeekOffset = week;
+    if (page === 'timetable') {
+        const view = params.view === 'day' ? 'day' : 'week';
+        const day = view === 'day' ? dayIndex(params.day) : state.ttDay;
+        const redraw = !reload && state.ttWeek && (view !== state.ttView || day !== state.ttDay);
+        Object.assign(state, { ttView: view, ttDay: day });
+        if (redraw) renderTimetableWeek(state.ttWeek.monday, state.ttWeek.schedule);
+    }
+    showPage(page);
+    if (reload) renderTimetable();
+
+    if (page === 'projection' && params.date) {
+        document.getElementById('projDate').value = params.date;
+        if (params.assume) document.getElementById('projAssume').value = params.assume;
+    }
+
+    if (state.courses.length) applyCourseRoute(page, params, initial);
+    else routeWaiting = { page, params, initial };
+}
+
+// The lecture list and projection need the course list to be loaded
+function applyCourseRoute(page, params, initial) {
+    const courseId = parseInt(params.course), compId = parseInt(params.comp);
+    if (courseId && compId) {
+        if (lectureModalArgs?.[0] !== courseId || lectureModalArgs?.[1] !== compId) {
+            openLectureModal(courseId, compId);
+            // A shared link has no in-app entry behind it to go back to
+            lectureEntry = !initial;
+            if (!lectureModalArgs) syncRoute({ replace: true }); // unknown course
+        }
+    } else if (lectureModalArgs) {
+        closeLectureModal();
+        lectureEntry = false;
+    }
+
+    if (page === 'projection' && params.date &&
+        (projectionParams?.date !== params.date || projectionParams?.assume !== (params.assume || 'all'))) {
+        runProjection();
+    }
+}
 
 // ─── Sidebar (mobile) ─────────────────────────────────────────
-window.toggleSidebar = () => {
+function toggleSidebar() {
     document.getElementById('sidebar').classList.toggle('open');
     document.getElementById('mobOverlay').classList.toggle('open');
-};
-window.closeSidebar = () => {
+}
+function closeSidebar() {
     document.getElementById('sidebar').classList.remove('open');
     document.getElementById('mobOverlay').classList.remove('open');
-};
+}
 
 // ─── Theme ────────────────────────────────────────────────────
-window.toggleTheme = function () {
+function toggleTheme() {
     state.theme = state.theme === 'dark' ? 'light' : 'dark';
     document.body.classList.toggle('light', state.theme === 'light');
     localStorage.setItem('theme', state.theme);
     updateThemeIcon();
-};
+}
 function updateThemeIcon() {
     const el = document.getElementById('themeIcon');
     if (el) el.textContent = state.theme === 'dark' ? '☀️' : '🌙';
 }
 
 // ─── Logout ───────────────────────────────────────────────────
-window.confirmLogout = function () {
-    if (confirm('Logout from SkipGenie?')) {
-        doLogout();
-        window.location.href = 'index.html';
+// Only the active profile is logged out; the next one (if any) takes over
+async function confirmLogout() {
+    const others = getProfiles().length > 1;
+    const name = activeProfile()?.name || 'this account';
+    if (confirm(others ? `Log out of ${name}? Your other accounts stay signed in.` : 'Logout from SkipGenie?')) {
+        const studentId = currentStudentId();
+        if (studentId != null) await clearHistory(studentId).catch(() => { });
+        const next = doLogout();
+        window.location.href = next ? 'app.html' : 'index.html';
     }
-};
+}
+
+// ─── Account profiles ────────────────────────────────────────
+// Switching reloads the page: every module reads its profile's keys fresh.
+function toggleProfileMenu() {
+    const menu = document.getElementById('profileMenu');
+    if (menu.classList.toggle('open')) renderProfileMenu();
+}
+
+// The chip toggles the menu itself; any other click outside closes it
+document.addEventListener('click', e => {
+    if (!e.target.closest('#profileMenu, #userChip')) document.getElementById('profileMenu')?.classList.remove('open');
+});
+
+function renderProfileMenu() {
+    const current = activeProfileId();
+    document.getElementById('profileMenu').innerHTML = html`
+    ${getProfiles().map(p => html`
+      <div class="profile-item ${p.id === current ? 'active' : ''}" data-action="switchAccount" data-id="${p.id}">
+        <div class="avatar-sm">${(p.name || '?')[0]}</div>
+        <div class="user-chip-info">
+          <div class="user-chip-name">${p.name}</div>
+          <div class="user-chip-roll">${p.rollNumber || '—'}</div>
+        </div>
+        ${p.id === current && html`<span class="profile-check">✓</span>`}
+      </div>`)}
+    <div class="profile-actions">
+      <button class="sidebar-btn" data-action="renameAccount">✏️ Rename</button>
+      <button class="sidebar-btn" data-action="addAccount">＋ Add account</button>
+    </div>`;
+}
+
+function switchAccount(id) {
+    if (id === activeProfileId()) { document.getElementById('profileMenu').classList.remove('open'); return; }
+    switchProfile(id);
+    window.location.reload();
+}
+
+function renameAccount() {
+    const p = activeProfile();
+    if (!p) return;
+    const name = prompt('Name this account', p.name);
+    if (!name?.trim()) return;
+    renameProfile(p.id, name.trim());
+    renderProfileMenu();
+}
+
+// The login page stores the new token; the app turns it into a profile
+function addAccount() {
+    window.location.href = 'index.html?add=1';
+}
+
+// ─── Session + re-login ──────────────────────────────────────
+// Expired sessions are renewed in place: cached data, the leave plan and
+// the current page stay put, and the current page's data is fetched again
+// once a new token is in. A token is only saved after the portal accepts
+// it and confirms it belongs to this profile's student.
+const SESSION_WARN_MS = 24 * 3600000;
+let sessionTimers = [];
+let portalPopup = null;
+let portalPoll = null;
+
+function promptRelogin() {
+    document.getElementById('sessionPrompt')?.remove();
+    const modal = document.getElementById('reloginModal');
+    if (modal.classList.contains('open')) return;
+    document.getElementById('reloginError').style.display = 'none';
+    document.getElementById('reloginToken').value = '';
+    modal.classList.add('open');
+}
+
+onSessionExpired(promptRelogin);
+
+function closeRelogin() {
+    document.getElementById('reloginModal').classList.remove('open');
+    stopPortalPoll();
+    if (!isLoggedIn()) showSessionPrompt('🔐 Session expired — showing saved data.');
+}
+
+// Same popup trick as the login page; usually blocked cross-origin, in
+// which case the student pastes the token by hand
+function openPortalLogin() {
+    portalPopup = window.open('https://kiet.cybervidya.net/', 'cv_login',
+        'width=480,height=660,menubar=no,toolbar=no,status=no,scrollbars=yes');
+    stopPortalPoll();
+    portalPoll = setInterval(() => {
+        try {
+            if (!portalPopup || portalPopup.closed) { stopPortalPoll(); return; }
+            const token = portalPopup.localStorage.getItem('authenticationtoken');
+            if (token && token.length > 10) {
+                portalPopup.close();
+                finishRelogin(token);
+            }
+        } catch { } // Cross-origin — wait for a pasted token
+    }, 800);
+}
+
+function stopPortalPoll() {
+    if (portalPoll) clearInterval(portalPoll);
+    portalPoll = null;
+}
+
+function submitRelogin() {
+    const raw = document.getElementById('reloginToken').value.trim();
+    const err = document.getElementById('reloginError');
+    if (!raw) { err.textContent = 'Please paste your token.'; err.style.display = 'block'; return; }
+    finishRelogin(raw);
+}
+
+async function finishRelogin(raw) {
+    stopPortalPoll();
+    const err = document.getElementById('reloginError');
+    const fail = msg => { err.textContent = msg; err.style.display = 'block'; };
+    const check = await verifyToken(raw);
+    if (!check.valid) {
+        fail(check.error === 'expired' || check.error === 'rejected'
+            ? 'That token is expired or invalid. Log in on CyberVidya and copy a fresh one.'
+            : `Could not check that token: ${check.error}`);
+        return;
+    }
+    const mine = activeProfile()?.studentId ?? currentStudentId();
+    if (mine != null && check.studentId != null && check.studentId !== mine) {
+        fail('That token belongs to a different account. Use "Add account" to sign in to it.');
+        return;
+    }
+
+    setToken(check.token);
+    const { expiresAt } = check;
+    document.getElementById('reloginModal').classList.remove('open');
+    document.getElementById('sessionPrompt')?.remove();
+    toast('Welcome back — refreshing', 'success');
+    scheduleSessionWarning(expiresAt);
+
+    // Other pages reload when next opened; the current one reloads now
+    pagesLoaded = new Set([activePage]);
+    if (activePage === 'home') refreshHome();
+    else PAGE_LOADERS[activePage]?.();
+}
+
+function showSessionPrompt(text) {
+    document.getElementById('sessionPrompt')?.remove();
+    const el = document.createElement('div');
+    el.className = 'toast warn update-prompt';
+    el.id = 'sessionPrompt';
+    el.innerHTML = html`<span>${text}</span><button>Log in</button>`;
+    el.querySelector('button').addEventListener('click', promptRelogin);
+    document.getElementById('toastWrap').appendChild(el);
+}
+
+// Warn a day ahead, then prompt when the token actually lapses
+function scheduleSessionWarning(expiresAt) {
+    sessionTimers.forEach(clearTimeout);
+    sessionTimers = [];
+    if (!expiresAt) return;
+    const left = expiresAt - Date.now();
+    const warn = () => showSessionPrompt(`⏳ Your session expires ${fmtTime(new Date(expiresAt))}${isSameDay(new Date(expiresAt), new Date()) ? '' : ` on ${new Date(expiresAt).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' })}`}.`);
+    // setTimeout overflows past ~24.8 days; startup re-checks anyway
+    if (left > 2 ** 31 - 1) return;
+    if (left <= SESSION_WARN_MS) warn();
+    else sessionTimers.push(setTimeout(warn, left - SESSION_WARN_MS));
+    sessionTimers.push(setTimeout(promptRelogin, left));
+}
+
+async function checkSessionAtStartup() {
+    const { valid, expiresAt } = await checkSession();
+    if (!valid) promptRelogin();
+    else scheduleSessionWarning(expiresAt);
+}
 
 // ─── Toast ───────────────────────────────────────────────────
 function toast(msg, type = 'info', duration = 3500) {
@@ -105,7 +382,60 @@ function toast(msg, type = 'info', duration = 3500) {
         setTimeout(() => t.remove(), 350);
     }, duration);
 }
-window.toast = toast;
+
+// ─── Offline Banner ──────────────────────────────────────────
+let offlineTimer = null;
+
+function renderOfflineBanner(conn) {
+    const el = document.getElementById('offlineBanner');
+    state.offline = conn.offline;
+    clearInterval(offlineTimer);
+    if (!conn.offline) { el.classList.remove('show'); return; }
+
+    const paint = () => {
+        el.innerHTML = html`
+      <span>📡 Offline — showing data from <strong>${timeAgo(conn.ts)}</strong></span>
+      <button class="offline-retry" data-action="refreshHome">Retry</button>`;
+    };
+    paint();
+    el.classList.add('show');
+    offlineTimer = setInterval(paint, 30000);
+}
+onConnectionChange(renderOfflineBanner);
+
+// ─── Service Worker + update prompt ──────────────────────────
+// A new sw.js installs in the background and waits; we ask before
+// swapping it in, then reload once it has taken control.
+function registerServiceWorker() {
+    if (!('serviceWorker' in navigator)) return;
+    let reloading = false;
+    navigator.serviceWorker.addEventListener('controllerchange', () => {
+        if (reloading) return;
+        reloading = true;
+        window.location.reload();
+    });
+
+    navigator.serviceWorker.register('sw.js').then(reg => {
+        if (reg.waiting && navigator.serviceWorker.controller) showUpdatePrompt(reg.waiting);
+        reg.addEventListener('updatefound', () => {
+            const sw = reg.installing;
+            sw?.addEventListener('statechange', () => {
+                // No controller yet = first install, nothing to update
+                if (sw.state === 'installed' && navigator.serviceWorker.controller) showUpdatePrompt(sw);
+            });
+        });
+    }).catch(() => { });
+}
+
+function showUpdatePrompt(worker) {
+    if (document.getElementById('updatePrompt')) return;
+    const el = document.createElement('div');
+    el.className = 'toast info update-prompt';
+    el.id = 'updatePrompt';
+    el.innerHTML = `<span>✨ A new version of SkipGenie is available.</span><button>Reload</button>`;
+    el.querySelector('button').addEventListener('click', () => worker.postMessage({ type: 'SKIP_WAITING' }));
+    document.getElementById('toastWrap').appendChild(el);
+}
 
 // ─── Greeting ────────────────────────────────────────────────
 function getGreeting() {
@@ -117,30 +447,50 @@ function getGreeting() {
 }
 
 // ─── Attendance Math ─────────────────────────────────────────
-function attendanceInfo(present, total) {
+// `policy` is { min, warn } from policy.js; defaults to the global policy
+function attendanceInfo(present, total, policy = policyFor()) {
     if (total === 0) return { pct: 0, status: 'safe', canMiss: 0, mustAttend: 0 };
     const pct = (present / total) * 100;
-    let status = 'safe';
-    if (pct < 75 && pct >= 65) status = 'warn';
-    else if (pct < 65) status = 'danger';
+    const req = policy.min / 100;
+    const status = pctStatus(pct, policy);
 
-    const canMiss = pct >= 75 ? Math.floor(present / 0.75 - total) : 0;
-    const mustAttend = pct < 75 ? Math.ceil(3 * total - 4 * present) : 0;
+    // Small epsilon keeps exact boundaries (e.g. 3/4 at 75%) from rounding the wrong way
+    const canMiss = pct >= policy.min ? Math.floor(present / req - total + 1e-9) : 0;
+    const mustAttend = pct < policy.min ? Math.ceil((req * total - present) / (1 - req) - 1e-9) : 0;
     return { pct, status, canMiss, mustAttend };
 }
 
+function pctStatus(pct, policy = policyFor()) {
+    return pct >= policy.min ? 'safe' : pct >= policy.warn ? 'warn' : 'danger';
+}
+
+// A course can have several components (theory, lab, tutorial), each with
+// its own attendance register. Totals are summed across all of them.
+function courseTotals(c) {
+    const comps = c.studentCourseCompDetails || [];
+    return comps.reduce((t, d) => {
+        t.present += d.presentLecture || 0;
+        t.total += d.totalLecture || 0;
+        return t;
+    }, { present: 0, total: 0, comps });
+}
+
+function compName(comp, i) {
+    return comp.courseCompName?.trim() || `Component ${i + 1}`;
+}
+
 function pctColor(status) {
     return status === 'safe' ? '#10b981' : status === 'warn' ? '#f59e0b' : '#ef4444';
 }
 
 // ─── Circular Progress SVG ────────────────────────────────────
-function circularProgress(pct, size = 140, strokeW = 10) {
+function circularProgress(pct, size = 140, strokeW = 10, policy = policyFor()) {
     const r = (size - strokeW) / 2;
     const circ = 2 * Math.PI * r;
     const offset = circ * (1 - Math.min(pct, 100) / 100);
-    const color = pct >= 75 ? '#10b981' : pct >= 65 ? '#f59e0b' : '#ef4444';
+    const color = pctColor(pctStatus(pct, policy));
     const cx = size / 2, cy = size / 2;
-    return `
+    return html`
     <svg class="circ-svg" width="${size}" height="${size}" viewBox="0 0 ${size} ${size}">
       <circle class="circ-bg" cx="${cx}" cy="${cy}" r="${r}" stroke-width="${strokeW}" transform="rotate(-90 ${cx} ${cy})"/>
       <circle class="circ-track" cx="${cx}" cy="${cy}" r="${r}" stroke="${color}"
@@ -149,33 +499,69 @@ function circularProgress(pct, size = 140, strokeW = 10) {
     </svg>`;
 }
 
+// ─── Next class ──────────────────────────────────────────────
+// The class running now (with time left) or the next one in the fetched
+// week, with room and faculty. Re-drawn every 30 s so the countdown and
+// the current/next split stay right.
+const NEXT_CLASS_TICK_MS = 30000;
+let nextClassTimer = null;
+
+function renderNextClass() {
+    clearTimeout(nextClassTimer);
+    const el = document.getElementById('nextClassCard');
+    const now = new Date();
+    const classes = classSlots(state.ttSchedule || []);
+    const current = classes.find(c => c.start <= now && now < c.end);
+    const next = classes.find(c => c.start > now);
+    if (!current && !next) { el.style.display = 'none'; return; }
+
+    const shown = current || next;
+    const where = c => [c.ev.classRoom && `📍 ${c.ev.classRoom}`, c.ev.facultyName && `👤 ${c.ev.facultyName}`].filter(Boolean).join(' · ');
+    const done = current && Math.min(100, (now - current.start) / (current.end - current.start) * 100);
+    el.style.display = '';
+    el.innerHTML = html`
+      <div class="next-class-main">
+        <div class="trend-sub">${current ? '🟢 In class now' : `⏭ Next class · ${dayLabel(next.start)}`}</div>
+        <div class="next-class-name">${shown.ev.courseName || shown.ev.title || '—'}${shown.ev.courseCompName && html` <span class="trend-sub">${shown.ev.courseCompName}</span>`}</div>
+        <div class="tt-room">${fmtTime(shown.start)} – ${fmtTime(shown.end)}${where(shown) && ` · ${where(shown)}`}</div>
+        ${current && html`<div class="prog-bar-bg"><div class="prog-bar" style="width:${done.toFixed(1)}%;background:var(--grad-primary)"></div></div>`}
+        ${current && next && html`<div class="tt-room next-class-then">Then ${next.ev.courseName || next.ev.title} at ${fmtTime(next.start)}${next.ev.classRoom && `, ${next.ev.classRoom}`}${!isSameDay(next.start, now) && ` (${dayLabel(next.start)})`}</div>`}
+      </div>
+      <div class="next-class-count">
+        <strong>${fmtCountdown(current ? current.end - now : next.start - now)}</strong>
+        <span>${current ? 'left' : 'to go'}</span>
+      </div>`;
+    nextClassTimer = setTimeout(renderNextClass, NEXT_CLASS_TICK_MS);
+}
+
 // ─── HOME ─────────────────────────────────────────────────────
 async function loadHome() {
     // Set greeting
     document.getElementById('homeGreeting').textContent =
         `${getGreeting()}, ${state.userDetails?.fullName?.split(' ')[0] || ''}! 👋`;
 
+    // Cached copies (if any) are painted first; fresh data replaces them below
+    const cached = {};
     try {
-        const [details, dashboard, courses] = await Promise.all([
-            state.userDetails ? Promise.resolve(state.userDetails) : getAttendanceAndDetails(),
-            state.dashboard ? Promise.resolve(state.dashboard) : getDashboardAttendance(),
-            state.courses.length ? Promise.resolve(state.courses) : getRegisteredCourses(),
+        const pending = Promise.all([
+            state.userDetails ? Promise.resolve(state.userDetails) : getAttendanceAndDetails({ onCached: d => { cached.details = d; } }),
+            state.dashboard ? Promise.resolve(state.dashboard) : getDashboardAttendance({ onCached: d => { cached.dashboard = d; } }),
+            state.courses.length ? Promise.resolve(state.courses) : getRegisteredCourses({ onCached: d => { cached.courses = d; } }),
         ]);
+        if (cached.details && cached.dashboard && cached.courses) {
+            renderHomeData(cached.details, cached.dashboard, cached.courses);
+        }
 
-        state.userDetails = details;
-        state.dashboard = dashboard;
-        state.courses = courses;
-
-        // Sidebar user info
-        document.getElementById('sidebarName').textContent = details.fullName || '—';
-        document.getElementById('sidebarRoll').textContent = details.rollNumber || '—';
-        document.getElementById('homeGreeting').textContent =
-            `${getGreeting()}, ${details.fullName?.split(' ')[0]}! 👋`;
+        const [details, dashboard, courses] = await pending;
+        renderHomeData(details, dashboard, courses);
 
-        renderInfoStrip(details);
-        renderOverallCard(dashboard);
-        renderStatsRow(courses);
-        renderCourseCards(courses);
+        // Only live data goes into history or drop alerts, never a cached fallback
+        if (!state.offline) {
+            const studentId = currentStudentId();
+            if (studentId != null) saveSnapshot(studentId, dashboard, courses).catch(() => { });
+            checkStatusDrops(courses);
+        }
+        scheduleNotifications();
 
         // Load profile photo async (non-blocking)
         loadProfilePhotoSidebar();
@@ -183,19 +569,44 @@ async function loadHome() {
         // Load today statuses async
         loadTodayStatuses(courses);
 
-        // Populate projection subject dropdown
-        populateProjectionSubjects(courses);
-
     } catch (err) {
-        if (err.isAuthError) { redirectLogin(); return; }
+        if (err.isAuthError) { promptRelogin(); return; }
         document.getElementById('coursesGrid').innerHTML =
-            `<div class="empty-state"><div class="empty-icon">❌</div><h3>Failed to load</h3><p>${err.message}</p></div>`;
+            html`<div class="empty-state"><div class="empty-icon">❌</div><h3>Failed to load</h3><p>${err.message}</p></div>`;
         toast(err.message, 'error');
     }
 }
 
+function renderHomeData(details, dashboard, courses) {
+    state.userDetails = details;
+    state.dashboard = dashboard;
+    state.courses = courses;
+
+    rememberIdentity({ studentId: currentStudentId(), fullName: details.fullName, rollNumber: details.rollNumber });
+
+    // Sidebar user info
+    document.getElementById('sidebarName').textContent = details.fullName || '—';
+    document.getElementById('sidebarRoll').textContent = details.rollNumber || '—';
+    document.getElementById('homeGreeting').textContent =
+        `${getGreeting()}, ${details.fullName?.split(' ')[0]}! 👋`;
+
+    renderInfoStrip(details);
+    renderOverallCard(dashboard);
+    renderStatsRow(courses);
+    renderCourseCards(courses);
+
+    // Populate projection subject dropdown
+    populateProjectionSubjects(courses);
+
+    if (routeWaiting) {
+        const { page, params, initial } = routeWaiting;
+        routeWaiting = null;
+        applyCourseRoute(page, params, initial);
+    }
+}
+
 function renderInfoStrip(d) {
-    document.getElementById('infoStrip').innerHTML = `
+    document.getElementById('infoStrip').innerHTML = html`
     <div class="info-chip"><span class="ic-lbl">Roll</span>&nbsp;<span class="ic-val">${d.rollNumber?.trim()}</span></div>
     <div class="info-chip"><span class="ic-lbl">Branch</span>&nbsp;<span class="ic-val">${d.branchShortName}</span></div>
     <div class="info-chip"><span class="ic-lbl">Semester</span>&nbsp;<span class="ic-val">${d.semesterName}</span></div>
@@ -205,9 +616,13 @@ function renderInfoStrip(d) {
 
 function renderOverallCard(dashboard) {
     const pct = parseFloat((dashboard.presentPerc || 0).toFixed(1));
-    const color = pct >= 75 ? '#10b981' : pct >= 65 ? '#f59e0b' : '#ef4444';
-    const statusLabel = pct >= 75 ? '✅ Attendance is Safe' : pct >= 65 ? '⚠️ Getting Risky' : '🚨 Danger Zone';
-    document.getElementById('overallCard').innerHTML = `
+    const policy = policyFor();
+    const status = pctStatus(pct, policy);
+    const color = pctColor(status);
+    const statusLabel = { safe: '✅ Attendance is Safe', warn: '⚠️ Getting Risky', danger: '🚨 Danger Zone' }[status];
+    const hasOverrides = Object.keys(getPolicy().overrides).length > 0;
+    const whatIf = disputeWhatIf(dashboard, state.courses);
+    document.getElementById('overallCard').innerHTML = html`
     <div class="circ-container">
       ${circularProgress(pct)}
       <div class="circ-center">
@@ -217,8 +632,9 @@ function renderOverallCard(dashboard) {
     </div>
     <div class="overall-info">
       <h3>${statusLabel}</h3>
-      <p>Your overall attendance across all registered subjects is <strong style="color:${color}">${pct}%</strong>. The minimum requirement is <strong>75%</strong>.</p>
-      <div class="attend-rule">🎓 Minimum required: 75% per subject</div>
+      <p>Your overall attendance across all registered subjects is <strong style="color:${color}">${pct}%</strong>. The minimum requirement is <strong>${policy.min}%</strong>.</p>
+      <div class="attend-rule">🎓 Minimum required: ${policy.min}% per subject${hasOverrides ? ' (some subjects differ)' : ''}</div>
+      ${whatIf && html`<div class="dispute-chip">⚖️ ${whatIf.pct.toFixed(1)}% if ${whatIf.count} dispute${whatIf.count > 1 ? 's are' : ' is'} accepted</div>`}
     </div>
   `;
 }
@@ -226,11 +642,11 @@ function renderOverallCard(dashboard) {
 function renderStatsRow(courses) {
     let totalPresent = 0, totalLectures = 0, dangerCount = 0;
     courses.forEach(c => {
-        const d = c.studentCourseCompDetails?.[0];
-        if (d) {
-            totalPresent += d.presentLecture || 0;
-            totalLectures += d.totalLecture || 0;
-            const { status } = attendanceInfo(d.presentLecture, d.totalLecture);
+        const { present, total, comps } = courseTotals(c);
+        if (comps.length) {
+            totalPresent += present;
+            totalLectures += total;
+            const { status } = attendanceInfo(present, total, policyFor(c.courseId));
             if (status !== 'safe') dangerCount++;
         }
     });
@@ -240,42 +656,47 @@ function renderStatsRow(courses) {
     document.getElementById('statMustAttend').textContent = mustAttend;
     document.getElementById('statSubjects').textContent = courses.length;
     document.getElementById('statDanger').textContent = dangerCount;
+    document.getElementById('statMustAttendSub').textContent = `to reach ${policyFor().min}% overall`;
+    document.getElementById('statDangerLbl').textContent = `Below ${policyFor().min}%`;
     document.getElementById('statsRow').style.display = '';
     document.getElementById('subjectHeading').textContent = '📚 Subject-wise Breakdown';
 }
 
-function renderCourseCards(courses, todayMap = {}) {
+function renderCourseCards(courses, todayMap = state.todayStatus) {
     if (!courses.length) {
         document.getElementById('coursesGrid').innerHTML =
-            `<div class="empty-state"><div class="empty-icon">📭</div><h3>No courses found</h3><p>Pull to refresh or check your CyberVidya portal.</p></div>`;
+            html`<div class="empty-state"><div class="empty-icon">📭</div><h3>No courses found</h3><p>Pull to refresh or check your CyberVidya portal.</p></div>`;
         return;
     }
 
-    document.getElementById('coursesGrid').innerHTML = courses.map(c => {
-        const d = c.studentCourseCompDetails?.[0];
-        if (!d) return '';
-        const present = d.presentLecture || 0;
-        const total = d.totalLecture || 0;
-        const { pct, status, canMiss, mustAttend } = attendanceInfo(present, total);
+    document.getElementById('coursesGrid').innerHTML = html`${courses.map(c => {
+        const { present, total, comps } = courseTotals(c);
+        if (!comps.length) return null;
+        const d = comps[0];
+        const policy = policyFor(c.courseId);
+        const { pct, status, canMiss, mustAttend } = attendanceInfo(present, total, policy);
         const pctDisplay = pct.toFixed(1);
         const color = pctColor(status);
 
         const todayStatus = todayMap[c.courseId];
-        const badge = todayStatus ? badgeHTML(todayStatus) : '';
+        const badge = todayStatus && badgeHTML(todayStatus);
+        const disputed = disputesFor(c.courseId).length;
+        const disputeChip = disputed > 0 &&
+            html`<div class="dispute-chip">⚖️ ${attendanceInfo(present + disputed, total, policy).pct.toFixed(1)}% if ${disputed} dispute${disputed > 1 ? 's are' : ' is'} accepted</div>`;
 
         let tipIcon, tipText;
         if (status === 'safe') {
             tipIcon = '🛡️';
             tipText = canMiss > 0
-                ? `You can miss <strong>${canMiss} more</strong> classes and still stay above 75%.`
-                : 'Don\'t miss any classes to stay above 75%.';
+                ? html`You can miss <strong>${canMiss} more</strong> classes and still stay above ${policy.min}%.`
+                : html`Don't miss any classes to stay above ${policy.min}%.`;
         } else {
             tipIcon = status === 'warn' ? '⚠️' : '🚨';
-            tipText = `Attend next <strong>${mustAttend} classes</strong> consecutively to reach 75%.`;
+            tipText = html`Attend next <strong>${mustAttend} classes</strong> consecutively to reach ${policy.min}%.`;
         }
 
-        return `
-      <div class="course-card ${status}" onclick="openLectureModal('${c.courseName}',${c.studentId},${c.courseId},${d.courseCompId})">
+        return html`
+      <div class="course-card ${status}" data-action="openLecture" data-course-id="${c.courseId}" data-comp-id="${d.courseCompId}">
         <div class="course-card-top-bar"></div>
         <div class="course-head">
           <div class="course-name">${c.courseName}</div>
@@ -285,6 +706,7 @@ function renderCourseCards(courses, todayMap = {}) {
           <span class="attended-txt">${present} / ${total} attended</span>
           ${badge}
         </div>
+        ${disputeChip}
         <div class="prog-bar-bg">
           <div class="prog-bar" style="width:${Math.min(pct, 100)}%;background:${color}"></div>
         </div>
@@ -292,12 +714,32 @@ function renderCourseCards(courses, todayMap = {}) {
           <span class="tip-icon">${tipIcon}</span>
           <span class="tip-text">${tipText}</span>
         </div>
+        ${comps.length > 1 && componentBreakdown(c)}
         <div class="course-footer">
           <span>View Lectures</span>
           <span>→</span>
         </div>
       </div>`;
-    }).join('');
+    })}`;
+}
+
+// Per-component rows on a course card; each opens its own lecture list
+function componentBreakdown(c) {
+    return html`
+        <div class="comp-list">
+          ${c.studentCourseCompDetails.map((d, i) => {
+        const present = d.presentLecture || 0;
+        const total = d.totalLecture || 0;
+        const { pct, status } = attendanceInfo(present, total, policyFor(c.courseId));
+        const name = compName(d, i);
+        return html`
+          <div class="comp-row" data-action="openLecture" data-course-id="${c.courseId}" data-comp-id="${d.courseCompId}">
+            <span class="comp-name">${name}</span>
+            <span class="comp-count">${present} / ${total}</span>
+            <span class="comp-pct ${status}">${pct.toFixed(1)}%</span>
+          </div>`;
+    })}
+        </div>`;
 }
 
 function badgeHTML(status) {
@@ -308,66 +750,142 @@ function badgeHTML(status) {
         SCHEDULED: ['scheduled', '📆', 'Upcoming'],
     };
     const [cls, ico, lbl] = map[status] || [];
-    if (!cls) return '';
-    return `<span class="badge ${cls}">${ico} ${lbl}</span>`;
+    if (!cls) return null;
+    return html`<span class="badge ${cls}">${ico} ${lbl}</span>`;
 }
 
 // Today status loading
+// Lecture lists are fetched through a small queue (the portal and relay
+// don't like bursts) and land in state.lectureCache for the modal to reuse.
+// Courses whose class is still running wait; PENDING ones are re-polled.
+const TODAY_POLL_MS = 10 * 60000;
+const lectureQueue = createQueue(3);
+let todayPollTimer = null;
+
+// The same week of classes feeds the next-class card
 async function loadTodayStatuses(courses) {
+    clearTimeout(todayPollTimer);
     const today = new Date();
-    if (today.getDay() === 0 || today.getDay() === 6) return; // Weekend
 
     try {
         const schedule = await getWeeklySchedule();
         state.ttSchedule = schedule;
+        const until = new Date(today);
+        until.setDate(today.getDate() + 6);
+        const changes = trackScheduleChanges(schedule, today, until);
+        if (changes.length) toast(`📅 Timetable changed: ${summarizeChanges(changes)}`, 'info', 8000);
+        renderNextClass();
+        if (today.getDay() === 0 || today.getDay() === 6) return; // Weekend
+        state.todayStatus = {};
+        await updateTodayStatuses(courses);
+    } catch { }
+}
 
-        const todayClasses = schedule.filter(s => s.type !== 'HOLIDAY' && isSameDay(parseFlexDate(s.start), today));
-        if (!todayClasses.length) return;
+// Only re-checks courses without a final PRESENT / ABSENT
+async function updateTodayStatuses(courses) {
+    const now = new Date();
+    const todayClasses = (state.ttSchedule || []).filter(s => s.type !== 'HOLIDAY' && isSameDay(parseFlexDate(s.start), now));
+    if (!todayClasses.length) return;
+
+    const statusMap = { ...state.todayStatus };
+    await Promise.all(courses.map(async course => {
+        if (statusMap[course.courseId] === 'PRESENT' || statusMap[course.courseId] === 'ABSENT') return;
+        const classes = todayClasses.filter(s => s.courseCode?.trim() === course.courseCode?.trim());
+        if (!classes.length) return;
+
+        // Nothing to look up until the first of today's classes has ended
+        const firstEnd = Math.min(...classes.map(s => parseFlexDate(s.end) || Infinity));
+        if (firstEnd > now) {
+            statusMap[course.courseId] = 'SCHEDULED';
+            return;
+        }
+        statusMap[course.courseId] = await todayStatusFor(course, now);
+    }));
 
-        const statusMap = {};
-        await Promise.all(courses.map(async course => {
-            const sched = todayClasses.find(s => s.courseCode?.trim() === course.courseCode?.trim());
-            if (!sched) return;
+    state.todayStatus = statusMap;
+    renderCourseCards(courses);
 
-            const endTime = parseFlexDate(sched.end);
-            if (endTime && endTime > today) {
-                statusMap[course.courseId] = 'SCHEDULED';
-                return;
-            }
+    const waiting = Object.values(statusMap).some(s => s === 'PENDING' || s === 'SCHEDULED');
+    if (waiting) {
+        todayPollTimer = setTimeout(() => {
+            if (isSameDay(new Date(), now)) updateTodayStatuses(state.courses).catch(() => { });
+        }, TODAY_POLL_MS);
+    }
+}
 
-            for (const comp of (course.studentCourseCompDetails || [])) {
-                try {
-                    const data = await getLectureWiseAttendance(course.studentId, course.courseId, comp.courseCompId);
-                    const todayLec = data.lectureList?.find(l => isSameDay(parseFlexDate(l.planLecDate), today));
-                    if (todayLec && (todayLec.attendance === 'PRESENT' || todayLec.attendance === 'ABSENT')) {
-                        statusMap[course.courseId] = todayLec.attendance;
-                        return;
-                    }
-                } catch { }
-            }
-            statusMap[course.courseId] = 'PENDING';
-        }));
+async function todayStatusFor(course, today) {
+    const marked = data => {
+        const lec = data?.lectureList?.find(l => isSameDay(parseFlexDate(l.planLecDate), today));
+        return lec && (lec.attendance === 'PRESENT' || lec.attendance === 'ABSENT') ? lec.attendance : null;
+    };
 
-        renderCourseCards(courses, statusMap);
-    } catch { }
+    for (const comp of (course.studentCourseCompDetails || [])) {
+        const key = `${course.courseId}_${comp.courseCompId}`;
+        // A cached list only settles it if today is already marked there
+        let status = marked(state.lectureCache[key]);
+        if (!status) {
+            try {
+                const data = await lectureQueue(() =>
+                    getLectureWiseAttendance(course.studentId, course.courseId, comp.courseCompId));
+                state.lectureCache[key] = data;
+                status = marked(data);
+            } catch { }
+        }
+        if (status) return status;
+    }
+    return 'PENDING';
 }
 
 // ─── LECTURE MODAL ────────────────────────────────────────────
-window.openLectureModal = async function (courseName, studentId, courseId, courseCompId) {
-    document.getElementById('lectureModalTitle').textContent = courseName;
+let lectureModalArgs = null; // re-render after a dispute changes
+let lectureController = null;
+
+// "Course" for single-component courses, "Course · Lab" otherwise
+function lectureTitle(course, courseCompId) {
+    const comps = course.studentCourseCompDetails || [];
+    if (comps.length <= 1) return course.courseName;
+    const i = comps.findIndex(d => d.courseCompId === courseCompId);
+    return `${course.courseName} · ${compName(comps[i] || {}, i)}`;
+}
+
+function showLecture(courseId, courseCompId) {
+    openLectureModal(courseId, courseCompId);
+    lectureEntry = true;
+    syncRoute();
+}
+
+// Closing from the page steps back over the entry showLecture added
+function hideLecture() {
+    closeLectureModal();
+    if (lectureEntry) { lectureEntry = false; history.back(); }
+    else syncRoute({ replace: true });
+}
+
+async function openLectureModal(courseId, courseCompId) {
+    const course = state.courses.find(c => c.courseId === courseId);
+    if (!course) return;
+    const { studentId } = course;
+    lectureModalArgs = [courseId, courseCompId];
+    lectureController?.abort();
+    const ctrl = lectureController = new AbortController();
+    document.getElementById('lectureModalTitle').textContent = lectureTitle(course, courseCompId);
     document.getElementById('lectureModalBody').innerHTML =
         `<div class="loading-wave"><span></span><span></span><span></span><span></span><span></span></div>`;
     document.getElementById('lectureModal').classList.add('open');
 
     const key = `${courseId}_${courseCompId}`;
     try {
-        const data = state.lectureCache[key] || await getLectureWiseAttendance(studentId, courseId, courseCompId);
+        const data = state.lectureCache[key] || await getLectureWiseAttendance(studentId, courseId, courseCompId, { signal: ctrl.signal });
         state.lectureCache[key] = data;
+        if (ctrl.signal.aborted) return; // another lecture list was opened meanwhile
 
         const { presentCount, lectureCount, percent, lectureList } = data;
-        const { canMiss, mustAttend } = attendanceInfo(presentCount, lectureCount);
+        const policy = policyFor(courseId);
+        const { canMiss, mustAttend } = attendanceInfo(presentCount, lectureCount, policy);
+        pruneResolvedDisputes(courseId, courseCompId, lectureList || []);
+        const disputed = disputesFor(courseId, courseCompId).length;
 
-        document.getElementById('lectureModalBody').innerHTML = `
+        document.getElementById('lectureModalBody').innerHTML = html`
       <div class="lec-stats">
         <div class="lec-stat present-stat">
           <div class="ls-val" style="color:#10b981">${presentCount}</div>
@@ -382,66 +900,231 @@ window.openLectureModal = async function (courseName, studentId, courseId, cours
           <div class="ls-lbl">Total</div>
         </div>
       </div>
+      ${(lectureList || []).length > 1 && html`<div class="chart-wrap">${lineChart([{ color: 'var(--c-primary-l)', points: seriesFromLectures(lectureList) }], { threshold: policy.min })}</div>`}
       ${canMiss > 0
-                ? `<div style="padding:10px 14px;border-radius:8px;background:var(--c-success-bg);border:1px solid rgba(16,185,129,0.2);color:#10b981;font-size:13px;font-weight:600;margin-bottom:16px;">🛡️ You can miss <strong>${canMiss}</strong> more classes.</div>`
+                ? html`<div style="padding:10px 14px;border-radius:8px;background:var(--c-success-bg);border:1px solid rgba(16,185,129,0.2);color:#10b981;font-size:13px;font-weight:600;margin-bottom:16px;">🛡️ You can miss <strong>${canMiss}</strong> more classes.</div>`
                 : mustAttend > 0
-                    ? `<div style="padding:10px 14px;border-radius:8px;background:var(--c-danger-bg);border:1px solid rgba(239,68,68,0.25);color:#ef4444;font-size:13px;font-weight:600;margin-bottom:16px;">🚨 Attend next <strong>${mustAttend}</strong> classes to reach 75%.</div>`
-                    : `<div style="padding:10px 14px;border-radius:8px;background:var(--c-warning-bg);border:1px solid rgba(245,158,11,0.2);color:#f59e0b;font-size:13px;font-weight:600;margin-bottom:16px;">⚠️ Don't skip any more classes!</div>`
+                    ? html`<div style="padding:10px 14px;border-radius:8px;background:var(--c-danger-bg);border:1px solid rgba(239,68,68,0.25);color:#ef4444;font-size:13px;font-weight:600;margin-bottom:16px;">🚨 Attend next <strong>${mustAttend}</strong> classes to reach ${policy.min}%.</div>`
+                    : html`<div style="padding:10px 14px;border-radius:8px;background:var(--c-warning-bg);border:1px solid rgba(245,158,11,0.2);color:#f59e0b;font-size:13px;font-weight:600;margin-bottom:16px;">⚠️ Don't skip any more classes!</div>`
             }
+      ${disputed > 0 && html`
+      <div class="dispute-bar">
+        <span>⚖️ <strong>${disputed}</strong> disputed · ${attendanceInfo(presentCount + disputed, lectureCount, policy).pct.toFixed(1)}% if accepted</span>
+        <button class="dispute-report-btn" data-action="disputeReport" data-course-id="${courseId}">📄 Report</button>
+      </div>`}
       <div class="lec-list">
-        ${(lectureList || []).slice().reverse().map(l => {
+        ${(lectureList || []).map((l, i) => ({ l, i })).reverse().map(({ l, i }) => {
                 const isP = l.attendance === 'PRESENT';
-                return `
+                const dispute = !isP && findDispute(courseId, courseCompId, l.planLecDate, l.timeSlot);
+                return html`
             <div class="lec-row">
               <div class="lec-dot ${isP ? 'present' : 'absent'}"></div>
               <div class="lec-date">${formatDisplayDate(l.planLecDate)}</div>
               <div class="lec-slot">${l.timeSlot || ''}</div>
+              ${!isP && html`<button class="dispute-btn ${dispute ? 'active' : ''}" title="${dispute ? dispute.note || 'Withdraw dispute' : 'I was there — dispute this'}" data-action="toggleDispute" data-index="${i}">${dispute ? '⚖️ Disputed' : '⚖️ Dispute'}</button>`}
               <div class="lec-status ${isP ? 'present' : 'absent'}">${isP ? '✅ Present' : '❌ Absent'}</div>
             </div>`;
-            }).join('')}
+            })}
       </div>
     `;
     } catch (e) {
+        if (e.name === 'AbortError') return;
         document.getElementById('lectureModalBody').innerHTML =
-            `<div class="empty-state"><div class="empty-icon">⚠️</div><p>${e.message}</p></div>`;
+            html`<div class="empty-state"><div class="empty-icon">⚠️</div><p>${e.message}</p></div>`;
     }
-};
+}
 
-window.closeLectureModal = function (e) {
-    if (!e || e.target === document.getElementById('lectureModal')) {
-        document.getElementById('lectureModal').classList.remove('open');
+// ─── DISPUTES ────────────────────────────────────────────────
+// Lectures the student says were wrongly marked absent. Kept locally until
+// the portal flips them to PRESENT or the student withdraws them.
+function toggleDispute(index) {
+    if (!lectureModalArgs) return;
+    const [courseId, courseCompId] = lectureModalArgs;
+    const lec = state.lectureCache[`${courseId}_${courseCompId}`]?.lectureList?.[index];
+    if (!lec) return;
+
+    const existing = findDispute(courseId, courseCompId, lec.planLecDate, lec.timeSlot);
+    if (existing) {
+        removeDispute(existing.id);
+        toast('Dispute withdrawn', 'info');
+    } else {
+        const note = prompt(`Dispute ${formatDisplayDate(lec.planLecDate)} ${lec.timeSlot || ''}\nOptional note for the faculty:`, '');
+        if (note === null) return;
+        const course = state.courses.find(c => c.courseId === courseId) || {};
+        addDispute({
+            courseId, courseCompId,
+            courseCode: course.courseCode?.trim() || '',
+            courseName: course.courseName || '',
+            compName: compName((course.studentCourseCompDetails || []).find(d => d.courseCompId === courseCompId) || {},
+                (course.studentCourseCompDetails || []).findIndex(d => d.courseCompId === courseCompId)),
+            date: lec.planLecDate,
+            timeSlot: lec.timeSlot || '',
+            note: note.trim(),
+        });
+        toast('Lecture disputed', 'success');
     }
-};
+    refreshDisputeViews();
+    openLectureModal(...lectureModalArgs);
+}
+
+// Drop disputes the portal has since corrected
+function pruneResolvedDisputes(courseId, courseCompId, lectureList) {
+    const resolved = disputesFor(courseId, courseCompId).filter(d => lectureList.some(l =>
+        l.attendance === 'PRESENT' && l.planLecDate === d.date && (l.timeSlot || '').trim() === d.timeSlot.trim()));
+    if (!resolved.length) return;
+    resolved.forEach(d => removeDispute(d.id));
+    toast(`${resolved.length} dispute${resolved.length > 1 ? 's' : ''} resolved — now marked present 🎉`, 'success');
+    refreshDisputeViews();
+}
+
+function refreshDisputeViews() {
+    if (!state.dashboard) return;
+    renderOverallCard(state.dashboard);
+    renderCourseCards(state.courses);
+}
+
+// Overall % if every open dispute were accepted, on the same base as the
+// portal's headline figure. Without the dashboard's lecture counts, the
+// course totals only size the step up from that figure.
+function disputeWhatIf(dashboard, courses) {
+    const count = courses.reduce((n, c) => n + disputesFor(c.courseId).length, 0);
+    if (!count) return null;
+    const { presentLecture, totalLecture } = dashboard;
+    if (totalLecture > 0) return { count, pct: Math.min(100, (presentLecture + count) / totalLecture * 100) };
+    const total = courses.reduce((n, c) => n + courseTotals(c).total, 0);
+    if (!total) return null;
+    return { count, pct: Math.min(100, (dashboard.presentPerc || 0) + count / total * 100) };
+}
+
+// Printable report for one course, addressed to the faculty named in the
+// timetable. Opened synchronously so popup blockers allow it.
+async function openDisputeReport(courseId) {
+    const course = state.courses.find(c => c.courseId === courseId);
+    const disputes = disputesFor(courseId).sort((a, b) =>
+        (parseFlexDate(a.date) || 0) - (parseFlexDate(b.date) || 0));
+    if (!course || !disputes.length) { toast('No disputes for this course', 'info'); return; }
+
+    const win = window.open('', '_blank');
+    if (!win) { toast('Allow pop-ups to open the report', 'error'); return; }
+    win.document.write('<p style="font-family:sans-serif">Preparing report…</p>');
+
+    if (!state.ttSchedule) {
+        try { state.ttSchedule = await getWeeklySchedule(); } catch { }
+    }
+    const code = course.courseCode?.trim();
+    const faculty = [...new Set((state.ttSchedule || [])
+        .filter(ev => ev.courseCode?.trim() === code && ev.facultyName)
+        .map(ev => ev.facultyName.trim()))];
+
+    const d = state.userDetails || {};
+    const multi = (course.studentCourseCompDetails || []).length > 1;
+    const rows = disputes.map((x, i) => html`
+      <tr>
+        <td>${i + 1}</td>
+        <td>${formatDisplayDate(x.date)}</td>
+        <td>${x.timeSlot}</td>
+        ${multi && html`<td>${x.compName || ''}</td>`}
+        <td>${x.note || '—'}</td>
+      </tr>`);
+
+    // The report is its own document, so its print button keeps an inline handler
+    win.document.open();
+    win.document.write(String(html`<!DOCTYPE html>
+<html lang="en"><head><meta charset="UTF-8" />
+<title>Attendance dispute — ${code}</title>
+<style>
+  body { font-family: system-ui, sans-serif; color: #111; max-width: 760px; margin: 40px auto; padding: 0 20px; }
+  h1 { font-size: 20px; margin-bottom: 4px; }
+  .meta { color: #555; font-size: 14px; line-height: 1.7; margin-bottom: 20px; }
+  table { width: 100%; border-collapse: collapse; font-size: 14px; }
+  th, td { border: 1px solid #ccc; padding: 8px 10px; text-align: left; vertical-align: top; }
+  th { background: #f3f3f3; }
+  .sign { margin-top: 48px; display: flex; justify-content: space-between; font-size: 14px; }
+  button { margin-top: 24px; padding: 8px 18px; font-size: 14px; cursor: pointer; }
+  @media print { button { display: none; } }
+</style></head><body>
+<h1>Attendance correction request</h1>
+<div class="meta">
+  To: <strong>${faculty.join(', ') || 'Course faculty'}</strong><br/>
+  Course: <strong>${course.courseName}</strong> (${code})<br/>
+  Student: <strong>${d.fullName || '—'}</strong> · Roll no. ${d.rollNumber || '—'}
+  ${d.branchShortName && ` · ${d.branchShortName}`}${d.semesterName && ` · ${d.semesterName}`}<br/>
+  Date: ${new Date().toLocaleDateString('en-IN', { day: 'numeric', month: 'long', year: 'numeric' })}
+</div>
+<p>I was present for the following ${disputes.length} lecture${disputes.length > 1 ? 's' : ''} but ${disputes.length > 1 ? 'they are' : 'it is'} marked absent on CyberVidya. I request that the attendance be corrected.</p>
+<table>
+  <thead><tr><th>#</th><th>Date</th><th>Time slot</th>${multi && html`<th>Component</th>`}<th>Note</th></tr></thead>
+  <tbody>${rows}</tbody>
+</table>
+<div class="sign"><span>Student signature: ____________________</span><span>Faculty: ____________________</span></div>
+<button onclick="window.print()">🖨️ Print / Save as PDF</button>
+</body></html>`));
+    win.document.close();
+}
+
+function closeLectureModal() {
+    lectureModalArgs = null;
+    lectureController?.abort();
+    document.getElementById('lectureModal').classList.remove('open');
+}
 
 // ─── REFRESH ──────────────────────────────────────────────────
-window.refreshHome = async function () {
+async function refreshHome() {
     state.userDetails = null;
     state.dashboard = null;
     state.courses = [];
     state.lectureCache = {};
+    state.todayStatus = {};
     pagesLoaded.delete('home');
     const btn = document.getElementById('refreshBtn');
     btn.classList.add('spinning');
     await loadHome();
     btn.classList.remove('spinning');
-    toast('Data refreshed!', 'success');
-};
+    if (state.offline) toast('Still offline — showing saved data', 'error');
+    else toast('Data refreshed!', 'success');
+}
 
 // ─── TIMETABLE ───────────────────────────────────────────────
 const DAYS = ['Sunday', 'Monday', 'Tuesday', 'Wednesday', 'Thursday', 'Friday', 'Saturday'];
 
+// Keeps ttWeekOffset, which a linked week may already have set
 async function loadTimetable() {
-    state.ttWeekOffset = 0;
     await renderTimetable();
 }
 
-window.changeWeek = async function (dir) {
+// ?day=0…6 (Monday first); defaults to today in this week, else Monday
+function dayIndex(value) {
+    const n = parseInt(value);
+    if (n >= 0 && n <= 6) return n;
+    return state.ttWeekOffset === 0 ? (new Date().getDay() + 6) % 7 : 0;
+}
+
+function setTtView(view) {
+    state.ttView = view;
+    if (view === 'day' && state.ttDay == null) state.ttDay = dayIndex();
+    syncRoute({ replace: true });
+    if (state.ttWeek) renderTimetableWeek(state.ttWeek.monday, state.ttWeek.schedule);
+}
+
+function setTtDay(day) {
+    state.ttDay = day;
+    syncRoute({ replace: true });
+    renderTimetableWeek(state.ttWeek.monday, state.ttWeek.schedule);
+}
+
+async function changeWeek(dir) {
     if (dir === 0) state.ttWeekOffset = 0;
     else state.ttWeekOffset += dir;
+    syncRoute({ replace: true });
     await renderTimetable();
-};
+}
+
+// Only the newest week may render; older requests are cancelled
+let ttController = null;
 
 async function renderTimetable() {
+    ttController?.abort();
+    const ctrl = ttController = new AbortController();
     document.getElementById('ttContent').innerHTML =
         `<div class="loading-wave"><span></span><span></span><span></span><span></span><span></span></div>`;
 
@@ -461,182 +1144,917 @@ async function renderTimetable() {
         `${fmtRange(monday)} – ${fmtRange(sunday)}, ${sunday.getFullYear()}`;
 
     try {
-        const schedule = await getWeeklySchedule(fmtDate(monday), fmtDate(sunday));
-        const today = new Date();
-
-        // Group by day of week (Mon–Sun)
-        const days = [];
-        for (let i = 0; i < 7; i++) {
-            const d = new Date(monday);
-            d.setDate(monday.getDate() + i);
-            days.push({ date: d, events: [] });
-        }
-
-        schedule.forEach(ev => {
-            const evDate = parseFlexDate(ev.start);
-            if (!evDate) return;
-            const slot = days.find(d => isSameDay(d.date, evDate));
-            if (slot) slot.events.push(ev);
+        const schedule = await getWeeklySchedule(fmtDate(monday), fmtDate(sunday), {
+            onCached: cached => renderTimetableWeek(monday, cached),
+            signal: ctrl.signal,
         });
+        trackScheduleChanges(schedule, monday, sunday);
+        renderTimetableWeek(monday, schedule);
+    } catch (e) {
+        if (e.name === 'AbortError') return;
+        document.getElementById('ttContent').innerHTML =
+            html`<div class="empty-state"><div class="empty-icon">📅</div><h3>Could not load schedule</h3><p>${e.message}</p></div>`;
+    }
+}
+
+function renderTimetableWeek(monday, schedule) {
+    state.ttWeek = { monday, schedule };
+    document.querySelectorAll('[data-action="setTtView"]').forEach(b =>
+        b.classList.toggle('active', b.dataset.view === state.ttView));
+    if (state.ttView === 'day') { renderTimetableDay(monday, schedule); return; }
+    const today = new Date();
+
+    // Group by day of week (Mon–Sun)
+    const days = [];
+    for (let i = 0; i < 7; i++) {
+        const d = new Date(monday);
+        d.setDate(monday.getDate() + i);
+        days.push({ date: d, events: [] });
+    }
+
+    schedule.forEach(ev => {
+        const evDate = parseFlexDate(ev.start);
+        if (!evDate) return;
+        const slot = days.find(d => isSameDay(d.date, evDate));
+        if (slot) slot.events.push(ev);
+    });
+
+    // Sort each day's events by time
+    days.forEach(d => d.events.sort((a, b) => (parseFlexDate(a.start) || 0) - (parseFlexDate(b.start) || 0)));
+
+    const todayStr = today.toDateString();
+
+    document.getElementById('ttContent').innerHTML = html`${days.map(d => {
+        const isToday = d.date.toDateString() === todayStr;
+        const dayName = DAYS[d.date.getDay()];
+        const dateStr = `${d.date.getDate()} ${d.date.toLocaleString('default', { month: 'short' })}`;
+
+        const { byKey, gone } = dayChanges(d.date);
+        const eventsHTML = d.events.length === 0 && !gone.length
+            ? html`<div class="tt-empty">No classes</div>`
+            : [...d.events.map(ev => {
+                if (ev.type === 'HOLIDAY') {
+                    return html`<div class="tt-holiday">🏖️ ${ev.title || 'Holiday'}</div>`;
+                }
+                const startT = fmtTime(parseFlexDate(ev.start));
+                const endT = fmtTime(parseFlexDate(ev.end));
+                const change = byKey[classKey(ev)];
+                return html`
+          <div class="tt-class ${change ? 'changed' : ''}">
+            <div class="tt-time">${startT}${endT ? ` – ${endT}` : ''}</div>
+            <div class="tt-info">
+              <div class="tt-name">${ev.courseName || ev.title || '—'}</div>
+              <div class="tt-room">${[ev.classRoom, ev.facultyName].filter(Boolean).join(' · ')}</div>
+              ${change && html`<div class="tt-change-note">${changeNote(change)}</div>`}
+            </div>
+            ${change ? changeBadge(change) : html`<div class="badge scheduled">📆</div>`}
+          </div>`;
+            }), ...gone.map(c => html`
+          <div class="tt-class cancelled">
+            <div class="tt-time">${fmtTime(parseFlexDate(c.before.start))}</div>
+            <div class="tt-info">
+              <div class="tt-name">${c.courseName || '—'}</div>
+              <div class="tt-change-note">${changeNote(c)}</div>
+            </div>
+            ${changeBadge(c)}
+          </div>`)];
+
+        return html`
+    <div class="tt-day">
+      <div class="tt-day-header">
+        <span class="tt-day-name ${isToday ? 'today' : ''}">${dayName}</span>
+        <span style="font-size:12px;color:var(--c-text-3)">${dateStr}</span>
+        ${isToday && html`<span class="tt-today-chip">Today</span>`}
+      </div>
+      ${eventsHTML}
+    </div>`;
+    })}`;
+}
+
+// ─── Timetable changes ───────────────────────────────────────
+// Every fresh (not offline) schedule is diffed against the last one seen
+// for the same days (see changes.js); the changes found stay highlighted
+// on their day. Bookkeeping only: a failure here (e.g. storage full) must
+// never keep the schedule that did arrive off the screen.
+function trackScheduleChanges(schedule, from, to) {
+    if (state.offline) return [];
+    const days = {};
+    for (const d = new Date(from); d <= to; d.setDate(d.getDate() + 1)) days[fmtDate(d)] = [];
+    schedule.forEach(ev => {
+        const d = parseFlexDate(ev.start);
+        if (d && !isNaN(d)) days[fmtDate(d)]?.push(ev);
+    });
+    try { return recordSchedule(days, fmtDate(new Date())); } catch { return []; }
+}
+
+// Changes on one day: still-listed classes by key, and the ones now gone
+function dayChanges(date) {
+    const list = changesOn(fmtDate(date));
+    return {
+        byKey: Object.fromEntries(list.filter(c => c.after).map(c => [c.key, c])),
+        gone: list.filter(c => !c.after),
+    };
+}
+
+const CHANGE_BADGES = {
+    rescheduled: ['pending', '🔄 Moved'],
+    room: ['pending', '🚪 Room'],
+    faculty: ['pending', '👤 Faculty'],
+    added: ['scheduled', '➕ New'],
+    cancelled: ['absent', '✖ Cancelled'],
+    holiday: ['absent', '🏖️ Holiday'],
+};
+
+function changeBadge(c) {
+    const [cls, label] = CHANGE_BADGES[changeLabel(c)];
+    return html`<div class="badge ${cls}">${label}</div>`;
+}
+
+// What it was before, e.g. "Was CS-204 · 09:10 am"
+function changeNote(c) {
+    if (c.kind === 'added') return 'New in the timetable';
+    if (c.kind === 'cancelled') return 'No longer in the timetable';
+    if (c.kind === 'holiday') return 'Cancelled — now a holiday';
+    const was = [];
+    if (c.fields.includes('course')) was.push(c.before.courseName || c.before.title);
+    if (c.fields.includes('time')) was.push(`${fmtTime(parseFlexDate(c.before.start))} – ${fmtTime(parseFlexDate(c.before.end))}`);
+    if (c.fields.includes('classRoom')) was.push(c.before.classRoom || 'no room');
+    if (c.fields.includes('facultyName')) was.push(c.before.facultyName || 'no faculty');
+    return `Was ${was.join(' · ')}`;
+}
+
+// Classes (not holidays) with parsed times, in time order. A missing or
+// backwards end time counts as a one-hour class.
+function classSlots(schedule) {
+    return schedule
+        .filter(ev => ev.type !== 'HOLIDAY')
+        .map(ev => ({ ev, start: parseFlexDate(ev.start), end: parseFlexDate(ev.end) }))
+        .filter(c => c.start && !isNaN(c.start))
+        .map(c => ({ ...c, end: c.end > c.start ? c.end : new Date(+c.start + 3600000) }))
+        .sort((a, b) => a.start - b.start);
+}
+
+// Gaps of at least `minMins` between the first and last class of a day;
+// overlapping classes are merged first
+function freePeriods(slots, minMins = 30) {
+    const gaps = [];
+    let busyUntil = null;
+    slots.forEach(c => {
+        if (busyUntil && c.start - busyUntil >= minMins * 60000) gaps.push({ start: busyUntil, end: c.start });
+        if (!busyUntil || c.end > busyUntil) busyUntil = c.end;
+    });
+    return gaps;
+}
 
-        // Sort each day's events by time
-        days.forEach(d => d.events.sort((a, b) => (parseFlexDate(a.start) || 0) - (parseFlexDate(b.start) || 0)));
-
-        const todayStr = today.toDateString();
-
-        document.getElementById('ttContent').innerHTML = days.map(d => {
-            const isToday = d.date.toDateString() === todayStr;
-            const dayName = DAYS[d.date.getDay()];
-            const dateStr = `${d.date.getDate()} ${d.date.toLocaleString('default', { month: 'short' })}`;
-
-            const eventsHTML = d.events.length === 0
-                ? `<div class="tt-empty">No classes</div>`
-                : d.events.map(ev => {
-                    if (ev.type === 'HOLIDAY') {
-                        return `<div class="tt-holiday">🏖️ ${ev.title || 'Holiday'}</div>`;
-                    }
-                    const startT = fmtTime(parseFlexDate(ev.start));
-                    const endT = fmtTime(parseFlexDate(ev.end));
-                    return `
-              <div class="tt-class">
-                <div class="tt-time">${startT}${endT ? ` – ${endT}` : ''}</div>
-                <div class="tt-info">
-                  <div class="tt-name">${ev.courseName || ev.title || '—'}</div>
-                  <div class="tt-room">${[ev.classRoom, ev.facultyName].filter(Boolean).join(' · ')}</div>
-                </div>
-                <div class="badge scheduled">📆</div>
-              </div>`;
-                }).join('');
-
-            return `
-        <div class="tt-day">
-          <div class="tt-day-header">
-            <span class="tt-day-name ${isToday ? 'today' : ''}">${dayName}</span>
-            <span style="font-size:12px;color:var(--c-text-3)">${dateStr}</span>
-            ${isToday ? '<span class="tt-today-chip">Today</span>' : ''}
+// ─── Day view ────────────────────────────────────────────────
+// One day on a time axis (at least 8 AM – 5 PM, stretched to fit), with
+// free periods shaded in and listed below. Overlapping classes share the
+// width side by side.
+const TT_HOUR_PX = 64;
+
+function renderTimetableDay(monday, schedule) {
+    const now = new Date();
+    const dates = [...Array(7)].map((_, i) => { const d = new Date(monday); d.setDate(monday.getDate() + i); return d; });
+    const date = dates[state.ttDay ?? dayIndex()];
+    const onDay = ev => isSameDay(parseFlexDate(ev.start), date);
+    const slots = classSlots(schedule.filter(onDay));
+    const holidays = schedule.filter(ev => ev.type === 'HOLIDAY' && onDay(ev));
+    const free = freePeriods(slots);
+    const changes = dayChanges(date);
+
+    const hourOf = d => d.getHours() + d.getMinutes() / 60;
+    const from = Math.min(8, ...slots.map(c => Math.floor(hourOf(c.start))));
+    const to = Math.max(17, ...slots.map(c => isSameDay(c.end, date) ? Math.ceil(hourOf(c.end)) : 24));
+    const y = d => ((isSameDay(d, date) ? hourOf(d) : 24) - from) * TT_HOUR_PX;
+
+    // Greedy lanes: each class takes the first lane that is free by its start
+    const lanes = [];
+    slots.forEach(c => {
+        c.lane = lanes.findIndex(end => end <= c.start);
+        if (c.lane < 0) c.lane = lanes.length;
+        lanes[c.lane] = c.end;
+    });
+    const width = 100 / Math.max(1, lanes.length);
+    const hourLabel = h => new Date(2000, 0, 1, h).toLocaleTimeString('en-IN', { hour: 'numeric', hour12: true });
+
+    document.getElementById('ttContent').innerHTML = html`
+      <div class="tt-day-tabs">
+        ${dates.map((d, i) => {
+            const count = classSlots(schedule.filter(ev => isSameDay(parseFlexDate(ev.start), d))).length;
+            return html`<button class="tt-day-tab ${d === date ? 'active' : ''} ${isSameDay(d, now) ? 'today' : ''}" data-action="setTtDay" data-day="${i}">
+              <span>${DAYS[d.getDay()].slice(0, 3)}</span><strong>${d.getDate()}</strong><small>${count > 0 ? `${count} class${count > 1 ? 'es' : ''}` : '—'}</small>
+            </button>`;
+        })}
+      </div>
+      ${holidays.map(ev => html`<div class="tt-holiday">🏖️ ${ev.title || 'Holiday'}</div>`)}
+      ${changes.gone.map(c => html`
+        <div class="tt-class cancelled">
+          <div class="tt-time">${fmtTime(parseFlexDate(c.before.start))}</div>
+          <div class="tt-info">
+            <div class="tt-name">${c.courseName || '—'}</div>
+            <div class="tt-change-note">${changeNote(c)}</div>
           </div>
-          ${eventsHTML}
-        </div>`;
-        }).join('');
+          ${changeBadge(c)}
+        </div>`)}
+      <div class="tt-axis" style="height:${(to - from) * TT_HOUR_PX}px">
+        ${[...Array(to - from + 1)].map((_, i) => html`
+          <div class="tt-hour" style="top:${i * TT_HOUR_PX}px"><span>${hourLabel(from + i)}</span></div>`)}
+        ${free.map(g => html`
+          <div class="tt-free" style="top:${y(g.start)}px;height:${y(g.end) - y(g.start)}px">Free · ${fmtCountdown(g.end - g.start)}</div>`)}
+        ${slots.map(c => html`
+          <div class="tt-block ${c.start <= now && now < c.end ? 'now' : ''} ${changes.byKey[classKey(c.ev)] ? 'changed' : ''}"
+            title="${changes.byKey[classKey(c.ev)] ? changeNote(changes.byKey[classKey(c.ev)]) : ''}"
+            style="top:${y(c.start)}px;height:${Math.max(y(c.end) - y(c.start), 24)}px;left:calc(${c.lane * width}% + 2px);width:calc(${width}% - 4px)">
+            <div class="tt-name">${c.ev.courseName || c.ev.title || '—'}</div>
+            <div class="tt-room">${fmtTime(c.start)} – ${fmtTime(c.end)}${c.ev.classRoom && ` · ${c.ev.classRoom}`}${c.ev.facultyName && ` · ${c.ev.facultyName}`}</div>
+          </div>`)}
+        ${isSameDay(now, date) && hourOf(now) >= from && hourOf(now) <= to && html`<div class="tt-now" style="top:${y(now)}px"></div>`}
+      </div>
+      <div class="card settings-card tt-free-list">
+        <h3 class="settings-title">☕ Free periods</h3>
+        ${!slots.length ? html`<p class="settings-desc">No classes${holidays.length ? ' — holiday' : ''}. The whole day is free.</p>`
+          : !free.length ? html`<p class="settings-desc">No breaks of 30 minutes or more between classes.</p>`
+          : html`<div class="opt-list">${free.map(g => html`
+            <div class="opt-row">
+              <div class="opt-date">${fmtTime(g.start)} – ${fmtTime(g.end)}</div>
+              <div class="opt-risk safe">${fmtCountdown(g.end - g.start)}</div>
+            </div>`)}</div>`}
+      </div>`;
+}
+
+// ─── CALENDAR EXPORT ─────────────────────────────────────────
+function openExportModal() {
+    document.getElementById('exportModal').classList.add('open');
+}
+
+function closeExportModal() {
+    document.getElementById('exportModal').classList.remove('open');
+}
+
+async function exportCalendar() {
+    const weeks = parseInt(document.getElementById('exportWeeks').value) || 1;
+    const withClasses = document.getElementById('exportClasses').checked;
+    const withExams = document.getElementById('exportExams').checked;
+    if (!withClasses && !withExams) { toast('Pick classes, exams or both', 'error'); return; }
+
+    // Same week the timetable is showing, then `weeks` weeks on
+    const monday = new Date();
+    monday.setDate(monday.getDate() + state.ttWeekOffset * 7);
+    monday.setDate(monday.getDate() - (monday.getDay() || 7) + 1);
+    const end = new Date(monday);
+    end.setDate(monday.getDate() + weeks * 7 - 1);
+
+    const btn = document.getElementById('exportBtn');
+    btn.disabled = true;
+    try {
+        const events = [];
+        if (withClasses) {
+            const schedule = await getWeeklySchedule(fmtDate(monday), fmtDate(end));
+            schedule.forEach(ev => { const ics = classToICS(ev); if (ics) events.push(ics); });
+        }
+        if (withExams) {
+            const exams = state.examSchedule || await getExamSchedule();
+            state.examSchedule = exams;
+            exams.forEach(ex => { const ics = examToICS(ex); if (ics) events.push(ics); });
+        }
+        if (!events.length) { toast('Nothing to export for that range', 'info'); return; }
 
+        downloadCalendar(buildCalendar(events, { name: 'SkipGenie — KIET' }), `skipgenie-${fmtDate(monday)}-${weeks}w.ics`);
+        toast(`Exported ${events.length} events`, 'success');
+        closeExportModal();
     } catch (e) {
-        document.getElementById('ttContent').innerHTML =
-            `<div class="empty-state"><div class="empty-icon">📅</div><h3>Could not load schedule</h3><p>${e.message}</p></div>`;
+        if (e.isAuthError) { promptRelogin(); return; }
+        toast(e.message, 'error');
+    } finally {
+        btn.disabled = false;
     }
 }
 
+// UIDs are built from what identifies the slot (course, component, start)
+// rather than the portal's row id, so re-exports update the same events.
+function classToICS(ev) {
+    const start = parseFlexDate(ev.start);
+    if (!start || isNaN(start)) return null;
+
+    if (ev.type === 'HOLIDAY') {
+        let end = parseFlexDate(ev.end);
+        if (end && end > start) {
+            // All-day DTEND is exclusive: last holiday day + 1
+            if (end.getHours() || end.getMinutes()) end.setDate(end.getDate() + 1);
+            end = new Date(end.toDateString());
+        } else end = null;
+        return {
+            uid: `holiday-${fmtDate(start)}@skipgenie`,
+            start: new Date(start.toDateString()), end, allDay: true,
+            summary: `🏖️ ${ev.title || 'Holiday'}`,
+            categories: 'Holiday',
+        };
+    }
+
+    const comp = ev.courseCompName?.trim();
+    const stamp = `${fmtDate(start)}-${String(start.getHours()).padStart(2, '0')}${String(start.getMinutes()).padStart(2, '0')}`;
+    return {
+        uid: `class-${uidPart(ev.courseCode || ev.courseName || ev.title)}-${uidPart(comp) || 'x'}-${stamp}@skipgenie`,
+        start,
+        end: parseFlexDate(ev.end),
+        summary: `${ev.courseName || ev.title || 'Class'}${comp ? ` (${comp})` : ''}`,
+        location: ev.classRoom,
+        description: [
+            ev.facultyName && `Faculty: ${ev.facultyName}`,
+            ev.classRoom && `Room: ${ev.classRoom}`,
+            ev.courseCode && `Course code: ${ev.courseCode.trim()}`,
+        ].filter(Boolean).join('\n'),
+        categories: 'Class',
+    };
+}
+
+// Exams keep their UID when rescheduled, so the calendar entry moves
+function examToICS(ex) {
+    const when = parseExamWhen(ex);
+    if (!when) return null;
+    return {
+        uid: `exam-${uidPart(ex.courseCode || ex.courseName)}-${uidPart(ex.evalLevelComponentName) || 'x'}@skipgenie`,
+        ...when,
+        summary: `📝 ${ex.courseName}${ex.evalLevelComponentName ? ` — ${ex.evalLevelComponentName}` : ''}`,
+        location: ex.examVenueName,
+        description: [
+            ex.strExamTime && `Time: ${ex.strExamTime}`,
+            ex.examVenueName && `Venue: ${ex.examVenueName}`,
+            ex.examMode && `Mode: ${ex.examMode}`,
+        ].filter(Boolean).join('\n'),
+        categories: 'Exam',
+    };
+}
+
 // ─── EXAMS ────────────────────────────────────────────────────
 let examScoresLoaded = false;
+let examPlannerLoaded = false;
+let examSessionsLoaded = false;
+const EXAM_PANELS = {
+    schedule: 'examSchedulePanel', sessions: 'examSessionsPanel',
+    scores: 'examScoresPanel', planner: 'examPlannerPanel',
+};
 
 async function loadExams() {
     loadExamSchedule();
 }
 
-window.switchExamTab = function (tab, el) {
-    document.querySelectorAll('.exam-tab').forEach(t => t.classList.remove('active'));
-    el.classList.add('active');
-    document.getElementById('examSchedulePanel').style.display = tab === 'schedule' ? '' : 'none';
-    document.getElementById('examScoresPanel').style.display = tab === 'scores' ? '' : 'none';
+function switchExamTab(tab) {
+    document.querySelectorAll('.exam-tab').forEach(t => t.classList.toggle('active', t.dataset.tab === tab));
+    Object.entries(EXAM_PANELS).forEach(([t, id]) => {
+        document.getElementById(id).style.display = t === tab ? '' : 'none';
+    });
     if (tab === 'scores' && !examScoresLoaded) loadExamScores();
-};
+    if (tab === 'planner' && !examPlannerLoaded) loadExamPlanner();
+    if (tab === 'sessions' && !examSessionsLoaded) loadExamSessions();
+}
 
 async function loadExamSchedule() {
     try {
-        const schedule = await getExamSchedule();
-        if (!schedule.length) {
-            document.getElementById('examSchedulePanel').innerHTML =
-                `<div class="empty-state"><div class="empty-icon">📝</div><h3>No exam schedule</h3><p>Check back closer to exam time.</p></div>`;
-            return;
-        }
-        // Group by date
-        const grouped = {};
-        schedule.forEach(ex => {
-            const key = ex.strExamDate || 'Unknown Date';
-            if (!grouped[key]) grouped[key] = [];
-            grouped[key].push(ex);
-        });
-
-        document.getElementById('examSchedulePanel').innerHTML = Object.entries(grouped).map(([date, exams]) => `
-      <div style="margin-bottom:20px;">
-        <div style="font-size:13px;font-weight:800;color:var(--c-text-3);text-transform:uppercase;letter-spacing:0.07em;margin-bottom:10px;padding-bottom:8px;border-bottom:1px solid var(--c-border);">📅 ${date}</div>
-        ${exams.map(ex => `
-          <div class="exam-item">
-            <div class="exam-course">${ex.courseName}</div>
-            <div class="exam-chips">
-              <span class="exam-chip"><span>🕐</span>${ex.strExamTime || '—'}</span>
-              <span class="exam-chip"><span>📍</span>${ex.examVenueName || '—'}</span>
-              <span class="exam-chip"><span>📋</span>${ex.evalLevelComponentName || '—'}</span>
-              <span class="exam-chip"><span>💻</span>${ex.examMode || '—'}</span>
-            </div>
-          </div>`).join('')}
-      </div>`).join('');
+        // Courses give each exam its attendance status
+        if (!state.courses.length) state.courses = await getRegisteredCourses().catch(() => []);
+        const schedule = await getExamSchedule({ onCached: renderExamSchedule });
+        renderExamSchedule(schedule);
     } catch (e) {
         document.getElementById('examSchedulePanel').innerHTML =
-            `<div class="empty-state"><div class="empty-icon">❌</div><h3>Failed to load</h3><p>${e.message}</p></div>`;
+            html`<div class="empty-state"><div class="empty-icon">❌</div><h3>Failed to load</h3><p>${e.message}</p></div>`;
     }
 }
 
-async function loadExamScores() {
-    examScoresLoaded = true;
-    const panel = document.getElementById('examScoresPanel');
-    try {
-        const data = await getExamScore();
-        if (!data) { panel.innerHTML = `<div class="empty-state"><div class="empty-icon">🏆</div><h3>No results yet</h3></div>`; return; }
+// ─── Exam prep ───────────────────────────────────────────────
+// The date sheet in date order, grouped by day. Two exams on one day are
+// flagged (a clash if their times overlap), and so are exams on
+// consecutive days; the gap between exam days is shown between groups.
+// Entries whose date doesn't parse are listed last, unflagged.
+let examTick = null;
 
-        const { cgpa, fullName, studentSemesterWiseMarksDetailsList: sems } = data;
-        panel.innerHTML = `
-      <div style="display:flex;align-items:center;justify-content:space-between;flex-wrap:wrap;gap:12px;margin-bottom:24px;padding:20px 22px;background:var(--c-card);border:1px solid var(--c-border);border-radius:var(--radius);">
-        <div>
-          <div style="font-size:12px;color:var(--c-text-3);font-weight:700;text-transform:uppercase;letter-spacing:0.07em;">Overall CGPA</div>
-          <div style="font-size:42px;font-weight:900;background:var(--grad-primary);-webkit-background-clip:text;-webkit-text-fill-color:transparent;">${cgpa || '—'}</div>
-        </div>
-        <div style="font-size:14px;color:var(--c-text-2);">${fullName}</div>
-      </div>
-      ${(sems || []).map(sem => `
-        <div class="score-sem card" style="margin-bottom:16px;">
-          <div class="sem-header">
-            <div class="sem-name">${sem.semesterName}</div>
-            <div class="sem-sgpa">SGPA: ${sem.sgpa || '—'}</div>
-          </div>
-          <table class="grade-table">
-            <thead><tr><th>Subject</th><th>Grade</th><th>Credits</th><th>Result</th></tr></thead>
-            <tbody>
-              ${(sem.studentMarksDetailsDTO || []).map(sub => {
-            const comp = sub.courseCompDTOList?.[0];
-            const mark = comp?.compSessionLevelMarks?.[0];
-            return `
-                  <tr>
-                    <td>${sub.courseName}</td>
-                    <td style="font-weight:800;color:var(--c-primary-l)">${mark?.grade || '—'}</td>
-                    <td>${mark?.compCredits || '—'}</td>
-                    <td><span class="grade-pill ${sub.resultSort === 'PASS' ? 'pass' : 'fail'}">${sub.resultSort || '—'}</span></td>
-                  </tr>`;
-        }).join('')}
-            </tbody>
-          </table>
-        </div>`).join('')}`;
-    } catch (e) {
-        panel.innerHTML = `<div class="empty-state"><div class="empty-icon">❌</div><h3>Failed to load scores</h3><p>${e.message}</p></div>`;
-    }
+function dayNumber(d) {
+    return Math.round(new Date(d.getFullYear(), d.getMonth(), d.getDate()) / 86400000);
 }
 
-// ─── PROFILE ─────────────────────────────────────────────────
-async function loadProfile() {
-    try {
-        const [details, info] = await Promise.all([
-            state.userDetails || getAttendanceAndDetails(),
-            getStudentProfileInfo()
-        ]);
-        state.userDetails = details;
+function examDays(schedule) {
+    const parsed = schedule.map(ex => ({ ex, when: parseExamWhen(ex) }));
+    const exams = [
+        ...parsed.filter(e => e.when).sort((a, b) => a.when.start - b.when.start),
+        ...parsed.filter(e => !e.when),
+    ];
+    const days = [];
+    exams.forEach(e => {
+        const day = e.when && dayNumber(e.when.start);
+        const last = days[days.length - 1];
+        if (last && last.day === day) last.exams.push(e);
+        else days.push({ day, exams: [e] });
+    });
+    days.forEach((d, i) => {
+        const prev = days[i - 1];
+        d.gap = d.day != null && prev?.day != null ? d.day - prev.day : null;
+        d.clash = d.exams.some((a, j) => d.exams.slice(j + 1).some(b =>
+            a.when && b.when && !a.when.allDay && !b.when.allDay && a.when.start < b.when.end && b.when.start < a.when.end));
+    });
+    return days;
+}
 
-        // Try photo
-        let photoHTML = `<div class="avatar-lg">${(details.fullName || '?')[0]}</div>`;
+// All-day exams (no time on the date sheet) run until the end of their day
+function examEnd(when) {
+    if (when.end) return when.end;
+    const end = new Date(when.start);
+    end.setHours(23, 59, 59, 999);
+    return end;
+}
+
+// Attendance status of the exam's course, if it is a registered one
+function examRisk(ex) {
+    const course = state.courses.find(c => c.courseCode?.trim() === ex.courseCode?.trim());
+    if (!course) return null;
+    const { present, total, comps } = courseTotals(course);
+    return { course, comps, ...attendanceInfo(present, total, policyFor(course.courseId)) };
+}
+
+function renderExamSchedule(schedule) {
+    state.examSchedule = schedule;
+    const panel = document.getElementById('examSchedulePanel');
+    clearInterval(examTick);
+    if (!schedule.length) {
+        panel.innerHTML = `<div class="empty-state"><div class="empty-icon">📝</div><h3>No exam schedule</h3><p>Check back closer to exam time.</p></div>`;
+        return;
+    }
+
+    const now = new Date();
+    const days = examDays(schedule);
+    const dated = days.filter(d => d.day != null);
+    const next = dated.flatMap(d => d.exams).find(e => examEnd(e.when) > now);
+    const gaps = dated.slice(1).map(d => d.gap);
+    const sameDay = dated.filter(d => d.exams.length > 1).length;
+    const backToBack = gaps.filter(g => g === 1).length;
+    const atRisk = schedule.filter(ex => (examRisk(ex)?.status ?? 'safe') !== 'safe').length;
+    const riskLabel = { safe: 'Attendance OK', warn: 'Attendance low', danger: 'Debarment risk' };
+
+    panel.innerHTML = html`
+      ${next && html`
+        <div class="card exam-next">
+          <div>
+            <div class="trend-sub">Next exam${next.when.start <= now ? ' · in progress' : ''}</div>
+            <div class="exam-course">${next.ex.courseName}</div>
+            <div class="trend-sub">${formatDisplayDate(next.ex.strExamDate)}${!next.when.allDay && html`, ${fmtTime(next.when.start)}`}</div>
+          </div>
+          <div class="exam-countdown" id="examCountdown"></div>
+        </div>`}
+      <div class="lec-stats">
+        <div class="lec-stat total-stat">
+          <div class="ls-val" style="color:var(--c-primary-l)">${schedule.length}</div>
+          <div class="ls-lbl">Exams</div>
+        </div>
+        <div class="lec-stat total-stat">
+          <div class="ls-val">${gaps.length ? `${Math.min(...gaps)}d` : '—'}</div>
+          <div class="ls-lbl">Shortest gap</div>
+        </div>
+        <div class="lec-stat total-stat">
+          <div class="ls-val" style="color:${sameDay + backToBack ? '#f59e0b' : '#10b981'}">${sameDay + backToBack}</div>
+          <div class="ls-lbl">Same-day / back-to-back</div>
+        </div>
+        <div class="lec-stat total-stat">
+          <div class="ls-val" style="color:${atRisk ? '#ef4444' : '#10b981'}">${atRisk}</div>
+          <div class="ls-lbl">Below attendance minimum</div>
+        </div>
+      </div>
+      ${days.map(d => html`
+        ${d.gap != null && html`<div class="exam-gap ${d.gap === 1 ? 'tight' : ''}">
+          ${d.gap === 1 ? '⚡ Back-to-back — next day' : `⏸ ${d.gap} days gap`}
+        </div>`}
+        <div class="exam-day">
+          <div class="exam-day-head">
+            <span>📅 ${d.day != null ? d.exams[0].when.start.toLocaleDateString('en-IN', { weekday: 'short', day: 'numeric', month: 'short', year: 'numeric' }) : 'Date not announced'}</span>
+            ${d.clash ? html`<span class="badge absent">⚠️ Time clash</span>`
+              : d.exams.length > 1 && d.day != null && html`<span class="badge pending">${d.exams.length} exams this day</span>`}
+          </div>
+          ${d.exams.map(({ ex }) => {
+            const risk = examRisk(ex);
+            return html`
+            <div class="exam-item ${risk?.status === 'danger' ? 'at-risk' : ''}">
+              <div class="exam-course">${ex.courseName}</div>
+              <div class="exam-chips">
+                <span class="exam-chip"><span>🕐</span>${ex.strExamTime || '—'}</span>
+                <span class="exam-chip"><span>📍</span>${ex.examVenueName || '—'}</span>
+                <span class="exam-chip"><span>📋</span>${ex.evalLevelComponentName || '—'}</span>
+                <span class="exam-chip"><span>💻</span>${ex.examMode || '—'}</span>
+                ${risk && risk.comps.length > 0 && html`
+                  <span class="badge ${{ safe: 'present', warn: 'pending', danger: 'absent' }[risk.status]} exam-risk"
+                    data-action="openLecture" data-course-id="${risk.course.courseId}" data-comp-id="${risk.comps[0].courseCompId}"
+                    title="Open attendance">${riskLabel[risk.status]} · ${risk.pct.toFixed(1)}%</span>`}
+              </div>
+              ${risk?.mustAttend > 0 && html`<div class="exam-risk-tip">Attend the next ${risk.mustAttend} classes to reach ${policyFor(risk.course.courseId).min}% before exams.</div>`}
+            </div>`;
+          })}
+        </div>`)}`;
+
+    if (!next) return;
+    const target = next.when.start > now ? next.when.start : examEnd(next.when);
+    const label = next.when.start > now ? 'starts in' : 'ends in';
+    const tick = () => {
+        const el = document.getElementById('examCountdown');
+        const left = target - new Date();
+        if (!el) { clearInterval(examTick); return; }
+        if (activePage !== 'exams') return;
+        // Rolled over: the next exam has started or finished
+        if (left <= 0) { renderExamSchedule(state.examSchedule); return; }
+        const secs = Math.floor(left / 1000);
+        const parts = [[Math.floor(secs / 86400), 'days'], [Math.floor(secs % 86400 / 3600), 'hrs'],
+            [Math.floor(secs % 3600 / 60), 'min'], [secs % 60, 'sec']];
+        el.innerHTML = html`<div class="trend-sub">${label}</div>
+          <div class="exam-countdown-parts">${parts.map(([n, unit]) => html`<div><strong>${String(n).padStart(2, '0')}</strong><span>${unit}</span></div>`)}</div>`;
+    };
+    tick();
+    examTick = setInterval(tick, 1000);
+}
+
+async function loadExamScores() {
+    examScoresLoaded = true;
+    const panel = document.getElementById('examScoresPanel');
+    try {
+        const data = await getExamScore({ onCached: renderExamScores });
+        renderExamScores(data);
+    } catch (e) {
+        panel.innerHTML = html`<div class="empty-state"><div class="empty-icon">❌</div><h3>Failed to load scores</h3><p>${e.message}</p></div>`;
+    }
+}
+
+// ─── EXAM FORMS ──────────────────────────────────────────────
+// Exam sessions and their form windows, soonest deadline first. A window
+// closes at the end of its last day unless the portal gives a time.
+// Date-sheet entries are matched to a session by id when the portal sends
+// one, otherwise by the session name containing the entry's evaluation
+// level (e.g. "Sessional Test 2 (Odd 2026)" ⊃ "Sessional Test 2").
+const SESSION_URGENT_MS = 48 * 3600000;
+let sessionTick = null;
+
+async function loadExamSessions() {
+    examSessionsLoaded = true;
+    const panel = document.getElementById('examSessionsPanel');
+    try {
+        if (currentStudentId() == null) state.courses = await getRegisteredCourses();
+        const studentId = currentStudentId();
+        const schedule = state.examSchedule || await getExamSchedule().catch(() => []);
+        const sessions = await getExamSessions(studentId, { onCached: s => renderExamSessions(s, schedule) });
+        renderExamSessions(sessions, schedule);
+    } catch (e) {
+        if (e.isAuthError) { promptRelogin(); return; }
+        panel.innerHTML = html`<div class="empty-state"><div class="empty-icon">❌</div><h3>Could not load exam forms</h3><p>${e.message}</p></div>`;
+    }
+}
+
+// Portal statuses for each of the three states shown; anything else
+// (including no status at all) counts as closed
+const SESSION_STATUSES = {
+    OPEN: ['OPEN', 'ACTIVE', 'LIVE', 'ONGOING', 'STARTED'],
+    UPCOMING: ['UPCOMING', 'SCHEDULED', 'PENDING', 'NOT_STARTED'],
+};
+
+function portalSessionStatus(raw) {
+    const value = raw?.trim().toUpperCase().replace(/[\s-]+/g, '_');
+    return Object.keys(SESSION_STATUSES).find(k => SESSION_STATUSES[k].includes(value)) || 'CLOSED';
+}
+
+function sessionWindow(s, now = new Date()) {
+    const start = parseFlexDate(s.strStartDate);
+    const end = parseFlexDate(s.strEndDate);
+    if (end && !/\d:\d{2}/.test(s.strEndDate)) end.setHours(23, 59, 59, 999);
+    const valid = d => d && !isNaN(d);
+    // Dates win over the portal's status, which can lag behind
+    let status = portalSessionStatus(s.status);
+    if (valid(start) && now < start) status = 'UPCOMING';
+    else if (valid(end) && now > end) status = 'CLOSED';
+    else if (valid(start) && valid(end)) status = 'OPEN';
+    return { start: valid(start) ? start : null, end: valid(end) ? end : null, status };
+}
+
+function sessionExams(s, schedule) {
+    const name = s.sessionName?.trim().toLowerCase() || '';
+    return schedule.filter(ex => ex.examSessionId != null
+        ? ex.examSessionId === s.examSessionId
+        : !!ex.evalLevelComponentName && name.includes(ex.evalLevelComponentName.trim().toLowerCase()));
+}
+
+function renderExamSessions(sessions, schedule) {
+    const panel = document.getElementById('examSessionsPanel');
+    clearInterval(sessionTick);
+    if (!sessions?.length) {
+        panel.innerHTML = `<div class="empty-state"><div class="empty-icon">🗂️</div><h3>No exam sessions</h3><p>Exam forms show up here once the portal opens them.</p></div>`;
+        return;
+    }
+
+    const now = new Date();
+    const rank = { OPEN: 0, UPCOMING: 1, CLOSED: 2 };
+    const rows = sessions.map(s => ({ s, ...sessionWindow(s, now) }))
+        .sort((a, b) => rank[a.status] - rank[b.status] ||
+            (a.status === 'CLOSED' ? (b.end || 0) - (a.end || 0) : (a.end || a.start || 0) - (b.end || b.start || 0)));
+
+    panel.innerHTML = html`${rows.map(({ s, start, end, status }) => {
+        const exams = sessionExams(s, schedule);
+        const target = status === 'OPEN' ? end : status === 'UPCOMING' ? start : null;
+        const urgent = status === 'OPEN' && end && end - now < SESSION_URGENT_MS;
+        return html`
+      <div class="card session-card ${status.toLowerCase()}">
+        <div class="session-head">
+          <div>
+            <div class="exam-course">${s.sessionName || 'Exam session'}</div>
+            ${s.formType && html`<div class="trend-sub">${s.formType.toLowerCase()} exam form</div>`}
+          </div>
+          <span class="badge ${{ OPEN: 'present', UPCOMING: 'scheduled', CLOSED: 'closed' }[status]}">${{ OPEN: 'Form open', UPCOMING: 'Opens soon', CLOSED: 'Closed' }[status]}</span>
+        </div>
+        <div class="exam-chips">
+          <span class="exam-chip"><span>📂</span>Opens ${start ? formatDisplayDate(s.strStartDate) : '—'}</span>
+          <span class="exam-chip"><span>🔒</span>Closes ${end ? `${formatDisplayDate(s.strEndDate)}, ${fmtTime(end)}` : '—'}</span>
+        </div>
+        ${target && html`<div class="session-countdown ${urgent ? 'urgent' : ''}">
+          ${status === 'OPEN' ? (urgent ? '🚨 Submit your form — closes' : '⏳ Closes') : '📅 Opens'} in <strong>${fmtCountdown(target - now)}</strong>
+        </div>`}
+        <div class="session-exams">
+          ${exams.length
+            ? html`<div class="trend-sub">${exams.length} exam${exams.length === 1 ? '' : 's'} on the date sheet ·
+                <a class="session-link" data-action="switchExamTab" data-tab="schedule">view date sheet →</a></div>
+              ${exams.map(ex => html`
+                <div class="session-exam">
+                  <span>${formatDisplayDate(ex.strExamDate)}</span>
+                  <span class="session-exam-name">${ex.courseName}</span>
+                  <span>${ex.strExamTime || ''}</span>
+                </div>`)}`
+            : html`<div class="trend-sub">No exams on the date sheet for this session yet.</div>`}
+        </div>
+      </div>`;
+    })}`;
+
+    // Keep countdowns (and open/closed states) current while the tab is up
+    sessionTick = setInterval(() => {
+        if (activePage === 'exams' && panel.style.display !== 'none') renderExamSessions(sessions, schedule);
+    }, 60000);
+}
+
+// Grade colours for the distribution bars, best to worst
+const GRADE_COLORS = {
+    'A+': '#10b981', A: '#34d399', 'B+': '#60a5fa', B: '#818cf8',
+    C: '#f59e0b', D: '#fb923c', E: '#f97316', F: '#ef4444',
+};
+
+function renderExamScores(data) {
+    state.examScores = data;
+    const panel = document.getElementById('examScoresPanel');
+    if (!data) { panel.innerHTML = `<div class="empty-state"><div class="empty-icon">🏆</div><h3>No results yet</h3></div>`; return; }
+
+    const { cgpa, fullName, studentSemesterWiseMarksDetailsList: sems = [] } = data;
+    const semesters = gradeHistory(sems);
+    const last = semesters[semesters.length - 1];
+    const impact = last ? subjectImpact(sems, parseFloat(cgpa) || last.cgpa) : [];
+    const strongest = impact.filter(x => x.impact > 0).slice(0, 5);
+    const weakest = impact.filter(x => x.impact < 0).reverse().slice(0, 5);
+
+    panel.innerHTML = html`
+      <div style="display:flex;align-items:center;justify-content:space-between;flex-wrap:wrap;gap:12px;margin-bottom:24px;padding:20px 22px;background:var(--c-card);border:1px solid var(--c-border);border-radius:var(--radius);">
+        <div>
+          <div style="font-size:12px;color:var(--c-text-3);font-weight:700;text-transform:uppercase;letter-spacing:0.07em;">Overall CGPA</div>
+          <div style="font-size:42px;font-weight:900;background:var(--grad-primary);-webkit-background-clip:text;-webkit-text-fill-color:transparent;">${cgpa || '—'}</div>
+        </div>
+        <div style="font-size:14px;color:var(--c-text-2);text-align:right;">
+          ${fullName}
+          ${last && html`<div class="trend-sub">${last.credits} credits over ${semesters.length} semester${semesters.length === 1 ? '' : 's'}</div>`}
+        </div>
+      </div>
+      ${semesters.length > 0 && html`
+      <div class="card trend-card" style="margin-bottom:18px;">
+        <div class="trend-head">
+          <div class="trend-name">📈 SGPA by semester</div>
+          <div class="trend-sub"><span class="gpa-key bar"></span>SGPA <span class="gpa-key line"></span>Running CGPA</div>
+        </div>
+        ${gpaChart(semesters)}
+      </div>
+      <div class="card trend-card" style="margin-bottom:18px;">
+        <div class="trend-head">
+          <div class="trend-name">🎓 Grade distribution</div>
+          <div class="trend-sub">per graded component</div>
+        </div>
+        ${gradeDistribution(semesters)}
+      </div>
+      <div class="patterns-grid" style="margin-bottom:18px;">
+        <div class="card">
+          <div class="trend-name" style="margin-bottom:4px;">💪 Strongest subjects</div>
+          <p class="settings-desc">Lifted your CGPA the most, weighted by credits.</p>
+          <div class="opt-list">${impactRows(strongest, 'safe') || html`<div class="chart-empty">Nothing above your CGPA yet.</div>`}</div>
+        </div>
+        <div class="card">
+          <div class="trend-name" style="margin-bottom:4px;">🧗 Weakest subjects</div>
+          <p class="settings-desc">Pulled your CGPA down the most, weighted by credits.</p>
+          <div class="opt-list">${impactRows(weakest, 'danger') || html`<div class="chart-empty">Nothing below your CGPA 🎉</div>`}</div>
+        </div>
+      </div>`}
+      ${sems.map(sem => html`
+        <div class="score-sem card" style="margin-bottom:16px;">
+          <div class="sem-header">
+            <div class="sem-name">${sem.semesterName}</div>
+            <div class="sem-sgpa">SGPA: ${sem.sgpa || '—'}</div>
+          </div>
+          <table class="grade-table">
+            <thead><tr><th>Subject</th><th>Component</th><th>Marks</th><th>Grade</th><th>Credits</th><th>Result</th></tr></thead>
+            <tbody>${(sem.studentMarksDetailsDTO || []).map(semesterRows)}</tbody>
+          </table>
+        </div>`)}`;
+}
+
+// One row per component; the subject and its result span them all
+function semesterRows(sub) {
+    const comps = subjectMarks(sub);
+    if (!comps.length) comps.push({ compName: '', grade: '', credits: 0, marks: [] });
+    return comps.map((m, i) => html`
+      <tr>
+        ${i === 0 && html`<td rowspan="${comps.length}">${sub.courseName}</td>`}
+        <td>${m.compName || '—'}</td>
+        <td>${m.marks.length ? m.marks.map((x, j) => html`${j > 0 && html`<br/>`}<span class="mark-lbl">${x.label}</span> ${x.obtained}${x.max != null && `/${x.max}`}`) : '—'}</td>
+        <td style="font-weight:800;color:var(--c-primary-l)">${m.grade || '—'}</td>
+        <td>${m.credits || '—'}</td>
+        ${i === 0 && html`<td rowspan="${comps.length}"><span class="grade-pill ${sub.resultSort === 'PASS' ? 'pass' : 'fail'}">${sub.resultSort || '—'}</span></td>`}
+      </tr>`);
+}
+
+function gradeDistribution(semesters) {
+    const used = GRADES.filter(g => semesters.some(h => h.grades[g]));
+    return html`
+      <div class="grade-dist">
+        ${[...semesters].reverse().map(h => {
+        const total = Object.values(h.grades).reduce((n, c) => n + c, 0);
+        return html`
+          <div class="grade-dist-row">
+            <div class="grade-dist-name">${h.name}</div>
+            <div class="grade-dist-bar">
+              ${used.filter(g => h.grades[g]).map(g => html`
+                <div class="grade-seg" style="flex:${h.grades[g]};background:${GRADE_COLORS[g]}" title="${g}: ${h.grades[g]} of ${total}">${g}</div>`)}
+            </div>
+          </div>`;
+    })}
+      </div>
+      <div class="grade-legend">
+        ${used.map(g => html`<span><i style="background:${GRADE_COLORS[g]}"></i>${g} (${GRADE_POINTS[g]})</span>`)}
+      </div>`;
+}
+
+function impactRows(list, cls) {
+    if (!list.length) return null;
+    return list.map(x => html`
+      <div class="opt-row">
+        <div class="opt-date">${x.courseName}${x.compName && x.compName !== 'THEORY' && ` · ${x.compName}`}
+          <div class="trend-sub">${x.semesterName} · ${x.credits} credit${x.credits === 1 ? '' : 's'}</div>
+        </div>
+        <div class="opt-cost">${x.grade}</div>
+        <div class="opt-risk ${cls}">${x.impact > 0 ? '+' : ''}${x.impact.toFixed(1)}</div>
+      </div>`);
+}
+
+// ─── GPA PLANNER ─────────────────────────────────────────────
+// Expected grades for this semester's courses give an SGPA and the CGPA it
+// leads to; a target CGPA gives the SGPA needed. Past semesters come from
+// the score API, leaving out the current one if it already shows there.
+let plannerTarget = '';
+
+async function loadExamPlanner() {
+    examPlannerLoaded = true;
+    try {
+        const [scores, courses] = await Promise.all([
+            state.examScores || getExamScore(),
+            state.courses.length ? state.courses : getRegisteredCourses(),
+        ]);
+        state.examScores = scores;
+        state.courses = courses;
+        renderExamPlanner();
+    } catch (e) {
+        if (e.isAuthError) { promptRelogin(); return; }
+        document.getElementById('examPlannerPanel').innerHTML =
+            html`<div class="empty-state"><div class="empty-icon">❌</div><h3>Could not load the planner</h3><p>${e.message}</p></div>`;
+    }
+}
+
+function plannerPast() {
+    const current = state.userDetails?.semesterName?.trim();
+    return pastTotals((state.examScores?.studentSemesterWiseMarksDetailsList || [])
+        .filter(sem => !current || sem.semesterName?.trim() !== current));
+}
+
+// Credits typed in the planner win over the portal's, which may be missing
+function plannerRows() {
+    const plan = getGradePlan();
+    return state.courses.map(c => {
+        const saved = plan[c.courseId] || {};
+        const portal = parseFloat(c.courseCredit);
+        return { course: c, grade: saved.grade || '', credits: saved.credits ?? (portal >= 0 ? portal : null) };
+    });
+}
+
+function renderExamPlanner() {
+    const past = plannerPast();
+    const rows = plannerRows();
+    const result = projectGrades(past, rows);
+    const ungraded = rows.filter(r => r.credits > 0 && !r.grade).length;
+    const noCredits = rows.filter(r => r.credits == null).length;
+    const fmt = v => v == null ? '—' : v.toFixed(2);
+
+    document.getElementById('examPlannerPanel').innerHTML = html`
+      <div class="card settings-card">
+        <h3 class="settings-title">🎯 Expected grades this semester</h3>
+        <p class="settings-desc">Pick the grade you expect in each course. Credits come from the portal where it lists them —
+          correct any that are wrong. Courses with 0 credits don't count.</p>
+        <div class="override-list">
+          <div class="planner-row override-head">
+            <span class="override-name">Subject</span><span>Credits</span><span>Grade</span>
+          </div>
+          ${rows.map(r => html`
+          <div class="planner-row">
+            <span class="override-name">${r.course.courseName}</span>
+            <input type="number" class="form-input" min="0" max="30" step="0.5" placeholder="?" value="${r.credits ?? ''}"
+              data-change="planGrade" data-course-id="${r.course.courseId}" data-field="credits" />
+            <select class="form-select" data-change="planGrade" data-course-id="${r.course.courseId}" data-field="grade">
+              <option value="">—</option>
+              ${GRADES.map(g => html`<option value="${g}" ${g === r.grade ? 'selected' : ''}>${g} (${GRADE_POINTS[g]})</option>`)}
+            </select>
+          </div>`)}
+        </div>
+        <div class="lec-stats">
+          <div class="lec-stat total-stat">
+            <div class="ls-val" style="color:var(--c-primary-l)">${fmt(result.sgpa)}</div>
+            <div class="ls-lbl">SGPA this semester</div>
+          </div>
+          <div class="lec-stat total-stat">
+            <div class="ls-val" style="color:var(--c-primary-l)">${fmt(result.credits ? result.cgpa : null)}</div>
+            <div class="ls-lbl">CGPA after</div>
+          </div>
+          <div class="lec-stat total-stat">
+            <div class="ls-val">${fmt(gpa(past.points, past.credits))}</div>
+            <div class="ls-lbl">CGPA now · ${past.credits} credits</div>
+          </div>
+        </div>
+        ${ungraded > 0 && html`<p class="settings-desc">${ungraded} course${ungraded > 1 ? 's' : ''} without an expected grade ${ungraded > 1 ? 'are' : 'is'} left out.</p>`}
+        ${noCredits > 0 && html`<p class="settings-desc">Enter credits for ${noCredits} course${noCredits > 1 ? 's' : ''} the portal doesn't list them for.</p>`}
+      </div>
+
+      <div class="card settings-card" style="margin-top:18px;">
+        <h3 class="settings-title">🏁 SGPA needed for a target CGPA</h3>
+        <div class="form-group">
+          <label class="form-label">Target CGPA</label>
+          <input type="number" class="form-input" min="0" max="10" step="0.01" placeholder="e.g. 8.00" value="${plannerTarget}"
+            data-change="planTarget" />
+        </div>
+        ${targetVerdict(parseFloat(plannerTarget), past, rows)}
+      </div>`;
+}
+
+function targetVerdict(target, past, rows) {
+    if (!(target > 0 && target <= 10)) {
+        return html`<p class="settings-desc">Enter a CGPA between 0 and 10 to see the SGPA this semester has to reach.</p>`;
+    }
+    const credits = rows.reduce((n, r) => n + (r.credits > 0 ? r.credits : 0), 0);
+    const need = requiredSgpa(target, past, credits);
+    if (need == null) return html`<p class="settings-desc">Enter this semester's credits first.</p>`;
+
+    if (need > 10) {
+        const best = gpa(past.points + 10 * credits, past.credits + credits);
+        return html`<div class="proj-danger-banner">🚨 Out of reach this semester — even a perfect 10 SGPA takes your CGPA to <strong>${best.toFixed(2)}</strong>.</div>`;
+    }
+    if (need <= 0) {
+        return html`<div class="opt-safe">✅ Your CGPA stays at or above ${target.toFixed(2)} whatever this semester brings.</div>`;
+    }
+    // Lowest grade that on its own averages out to the needed SGPA
+    const grade = [...GRADES].reverse().find(g => GRADE_POINTS[g] >= need);
+    return html`<div class="opt-safe">🎯 You need an SGPA of at least <strong>${need.toFixed(2)}</strong> over ${credits} credits —
+      about ${/^[AE]/.test(grade) ? 'an' : 'a'} <strong>${grade}</strong> average.</div>`;
+}
+
+function planGrade(el) {
+    const plan = getGradePlan();
+    const entry = plan[el.dataset.courseId] || {};
+    if (el.dataset.field === 'grade') entry.grade = el.value;
+    else entry.credits = el.value === '' ? undefined : Math.max(0, parseFloat(el.value) || 0);
+    plan[el.dataset.courseId] = entry;
+    saveGradePlan(plan);
+    renderExamPlanner();
+}
+
+function planTarget(el) {
+    plannerTarget = el.value;
+    renderExamPlanner();
+}
+
+// ─── PROFILE ─────────────────────────────────────────────────
+async function loadProfile() {
+    try {
+        const [details, info] = await Promise.all([
+            state.userDetails || getAttendanceAndDetails(),
+            getStudentProfileInfo()
+        ]);
+        state.userDetails = details;
+
+        // Try photo
+        let photoHTML = html`<div class="avatar-lg">${(details.fullName || '?')[0]}</div>`;
         if (info.profilePhoto && getToken()) {
             const b64 = state.profilePhoto || await getProfilePhoto(info.profilePhoto);
-            if (b64) { state.profilePhoto = b64; photoHTML = `<div class="avatar-lg"><img src="${b64}" alt="Photo"/></div>`; }
+            if (b64) { state.profilePhoto = b64; photoHTML = html`<div class="avatar-lg"><img src="${b64}" alt="Photo"/></div>`; }
         }
 
-        document.getElementById('profileContent').innerHTML = `
+        document.getElementById('profileContent').innerHTML = html`
       <div class="profile-hero">
         ${photoHTML}
         <div>
@@ -659,12 +2077,12 @@ async function loadProfile() {
       </div>`;
     } catch (e) {
         document.getElementById('profileContent').innerHTML =
-            `<div class="empty-state"><div class="empty-icon">❌</div><h3>Could not load profile</h3><p>${e.message}</p></div>`;
+            html`<div class="empty-state"><div class="empty-icon">❌</div><h3>Could not load profile</h3><p>${e.message}</p></div>`;
     }
 }
 
 function profileInfoRow(ico, label, val) {
-    return `
+    return html`
     <div class="pinfo-card">
       <div class="pinfo-lbl">${ico} ${label}</div>
       <div class="pinfo-val">${val || '—'}</div>
@@ -679,7 +2097,7 @@ async function loadProfilePhotoSidebar() {
             const b64 = state.profilePhoto || await getProfilePhoto(info.profilePhoto);
             if (b64) {
                 state.profilePhoto = b64;
-                document.getElementById('sidebarAvatar').innerHTML = `<img src="${b64}" alt="" />`;
+                document.getElementById('sidebarAvatar').innerHTML = html`<img src="${b64}" alt="" />`;
             }
         }
     } catch { }
@@ -687,6 +2105,7 @@ async function loadProfilePhotoSidebar() {
 
 // ─── PROJECTION ENGINE ────────────────────────────────────────
 let exclusions = []; // [{date: 'YYYY-MM-DD', courseId: null|number, courseName: ''}]
+let projectionParams = null; // { date, assume } of the projection on screen, for the URL
 
 function loadProjection() {
     // Set default date to 30 days from now
@@ -705,13 +2124,11 @@ function loadProjection() {
 function populateProjectionSubjects(courses) {
     const sel = document.getElementById('exclSubject');
     if (!sel) return;
-    sel.innerHTML = `<option value="">— Full Day Leave —</option>`;
-    courses.forEach(c => {
-        sel.innerHTML += `<option value="${c.courseId}">${c.courseName}</option>`;
-    });
+    sel.innerHTML = html`<option value="">— Full Day Leave —</option>
+    ${courses.map(c => html`<option value="${c.courseId}">${c.courseName}</option>`)}`;
 }
 
-window.addExclusion = function () {
+function addExclusion() {
     const date = document.getElementById('exclDate').value;
     const sel = document.getElementById('exclSubject');
     const courseId = sel.value ? parseInt(sel.value) : null;
@@ -725,139 +2142,975 @@ window.addExclusion = function () {
 
     exclusions.push({ date, courseId, courseName });
     renderExclusions();
-};
+}
 
 function renderExclusions() {
     const list = document.getElementById('exclusionList');
     if (!exclusions.length) { list.innerHTML = ''; return; }
-    list.innerHTML = exclusions.map((e, i) => `
+    list.innerHTML = html`${exclusions.map((e, i) => html`
     <div class="excl-tag">
       <div class="excl-tag-text">📅 ${e.date} — ${e.courseName}</div>
-      <span class="excl-tag-remove" onclick="removeExclusion(${i})">✕</span>
-    </div>`).join('');
+      <span class="excl-tag-remove" data-action="removeExclusion" data-index="${i}">✕</span>
+    </div>`)}`;
 }
 
-window.removeExclusion = function (i) {
+function removeExclusion(i) {
     exclusions.splice(i, 1);
     renderExclusions();
-};
+}
 
-window.runProjection = function () {
-    const courses = state.courses;
-    if (!courses.length) { toast('Load your attendance first (go to Home tab)', 'error'); return; }
+// Shared checks for the projector and the optimizer; null if invalid
+function readProjectionTarget() {
+    if (!state.courses.length) { toast('Load your attendance first (go to Home tab)', 'error'); return null; }
 
     const targetDate = document.getElementById('projDate').value;
-    if (!targetDate) { toast('Please select a target date', 'error'); return; }
+    if (!targetDate) { toast('Please select a target date', 'error'); return null; }
 
     const today = new Date(new Date().toDateString());
     const endDate = new Date(targetDate);
-    if (endDate <= today) { toast('Target date must be in the future', 'error'); return; }
+    if (endDate <= today) { toast('Target date must be in the future', 'error'); return null; }
+    return { targetDate, today, endDate };
+}
 
-    const assume = document.getElementById('projAssume').value;
+// Fetch the timetable from this week's Monday up to the target date.
+// The full current week gives us each course's weekly pattern, the
+// rest of the range tells us which days are holidays. Shows a loader
+// in the results panel; returns null (after showing why) on failure.
+async function loadProjectionTimetable(today, endDate) {
+    const monday = new Date(today);
+    monday.setDate(today.getDate() - (today.getDay() || 7) + 1);
+    const sunday = new Date(monday);
+    sunday.setDate(monday.getDate() + 6);
+    const rangeEnd = endDate > sunday ? endDate : sunday;
+
+    document.getElementById('projPlaceholder').style.display = 'none';
+    const wrap = document.getElementById('projResultsWrap');
+    wrap.style.display = '';
+    wrap.innerHTML = `<div class="loading-wave"><span></span><span></span><span></span><span></span><span></span></div>`;
 
-    // Count working days between today and target date (Mon-Fri)
-    let workdays = 0;
-    const d = new Date(today);
-    d.setDate(d.getDate() + 1); // Start from tomorrow
-    while (d <= endDate) {
-        const dow = d.getDay();
-        if (dow !== 0 && dow !== 6) workdays++;
-        d.setDate(d.getDate() + 1);
+    try {
+        const schedule = await getWeeklySchedule(fmtDate(monday), fmtDate(rangeEnd));
+        return { pattern: buildWeeklyPattern(schedule), holidays: holidayDates(schedule) };
+    } catch (e) {
+        if (e.isAuthError) { promptRelogin(); return null; }
+        wrap.innerHTML = html`<div class="empty-state"><div class="empty-icon">📅</div><h3>Could not load timetable</h3><p>${e.message}</p></div>`;
+        return null;
     }
+}
 
-    // Build exclusion index
-    const exclFull = new Set(exclusions.filter(e => !e.courseId).map(e => e.date));
-    const exclCourse = {}; // courseId -> Set of dates
+function exclusionIndex() {
+    const full = new Set(exclusions.filter(e => !e.courseId).map(e => e.date));
+    const byCourse = {}; // courseId -> Set of dates
     exclusions.filter(e => e.courseId).forEach(e => {
-        if (!exclCourse[e.courseId]) exclCourse[e.courseId] = new Set();
-        exclCourse[e.courseId].add(e.date);
+        if (!byCourse[e.courseId]) byCourse[e.courseId] = new Set();
+        byCourse[e.courseId].add(e.date);
     });
+    return { full, byCourse };
+}
 
-    const results = courses.map(c => {
-        const comp = c.studentCourseCompDetails?.[0];
-        if (!comp) return null;
-        const curPresent = comp.presentLecture || 0;
-        const curTotal = comp.totalLecture || 0;
-        const { pct: curPct } = attendanceInfo(curPresent, curTotal);
+// Each component (theory, lab, ...) keeps its own register, so it is
+// projected on its own with its own slice of the timetable. Returns one
+// entry per component with the lectures it has on each day after today.
+function futureLectures(courses, pattern, holidays, today, endDate) {
+    return courses.flatMap(c => {
+        const comps = c.studentCourseCompDetails || [];
+        return comps.map((comp, i) => {
+            const perDay = componentPattern(pattern, c, i);
+            const days = []; // [{ ds: 'YYYY-MM-DD', n }]
+            const iter = new Date(today);
+            iter.setDate(iter.getDate() + 1);
+            while (iter <= endDate) {
+                const ds = fmtDate(iter);
+                const n = holidays.has(ds) ? 0 : perDay[iter.getDay()];
+                if (n) days.push({ ds, n });
+                iter.setDate(iter.getDate() + 1);
+            }
+            return {
+                course: c,
+                label: comps.length > 1 ? `${c.courseName} · ${compName(comp, i)}` : c.courseName,
+                courseCompId: comp.courseCompId,
+                curPresent: comp.presentLecture || 0,
+                curTotal: comp.totalLecture || 0,
+                days,
+            };
+        });
+    });
+}
 
-        if (assume === 'none') {
-            return { course: c, curPresent, curTotal, curPct, projPresent: curPresent, projTotal: curTotal };
-        }
+async function runProjection() {
+    const target = readProjectionTarget();
+    if (!target) return;
+    const { targetDate, today, endDate } = target;
+    const assume = document.getElementById('projAssume').value;
+    projectionParams = { date: targetDate, assume };
+    syncRoute({ replace: true });
+
+    const timetable = await loadProjectionTimetable(today, endDate);
+    if (!timetable) return;
+    const comps = futureLectures(state.courses, timetable.pattern, timetable.holidays, today, endDate);
 
-        // Estimate new lectures per working day per course
-        // We use 1 lecture per working day as a reasonable default
-        const courseExclDates = exclCourse[c.courseId] || new Set();
+    // Class days between tomorrow and the target date
+    const classDays = new Set(comps.flatMap(c => c.days.map(d => d.ds))).size;
+    const excl = exclusionIndex();
+
+    const results = comps.map(c => {
+        const { curPresent, curTotal } = c;
+        const { pct: curPct } = attendanceInfo(curPresent, curTotal);
+        const courseExclDates = excl.byCourse[c.course.courseId] || new Set();
 
         let addPresent = 0;
         let addTotal = 0;
+        c.days.forEach(({ ds, n }) => {
+            addTotal += n;
+            const skipped = excl.full.has(ds) || courseExclDates.has(ds);
+            if (!skipped) addPresent += n;
+        });
 
-        const iter = new Date(today);
-        iter.setDate(iter.getDate() + 1);
-        while (iter <= endDate) {
-            const dow = iter.getDay();
-            if (dow !== 0 && dow !== 6) {
-                const ds = fmtDate(iter);
-                addTotal++;
-                const skipped = exclFull.has(ds) || courseExclDates.has(ds);
-                if (!skipped) addPresent++;
-            }
-            iter.setDate(iter.getDate() + 1);
-        }
+        const base = { course: c.course, courseCompId: c.courseCompId, label: c.label, curPresent, curTotal, curPct, expected: addTotal };
+        if (assume === 'none') return { ...base, projPresent: curPresent, projTotal: curTotal };
+        return { ...base, projPresent: curPresent + addPresent, projTotal: curTotal + addTotal };
+    });
 
-        const projPresent = curPresent + addPresent;
-        const projTotal = curTotal + addTotal;
-        return { course: c, curPresent, curTotal, curPct, projPresent, projTotal };
-    }).filter(Boolean);
+    renderProjectionResults(results, targetDate, classDays);
+}
 
-    renderProjectionResults(results, targetDate, workdays);
-};
+// Lectures per weekday for every course code + component seen in the
+// schedule, keyed `${courseCode}|${COMPONENT}` (component blank when the
+// event doesn't name one). Uses the busiest occurrence of each weekday so
+// a holiday in the sample week doesn't wipe that day out of the pattern.
+function buildWeeklyPattern(schedule) {
+    const perDate = {}; // key -> { 'YYYY-MM-DD': { dow, count } }
+    schedule.forEach(ev => {
+        if (ev.type === 'HOLIDAY') return;
+        const code = ev.courseCode?.trim();
+        const dt = parseFlexDate(ev.start);
+        if (!code || !dt) return;
+        const key = `${code}|${ev.courseCompName?.trim().toUpperCase() || ''}`;
+        if (!perDate[key]) perDate[key] = {};
+        const ds = fmtDate(dt);
+        if (!perDate[key][ds]) perDate[key][ds] = { dow: dt.getDay(), count: 0 };
+        perDate[key][ds].count++;
+    });
 
-function renderProjectionResults(results, targetDate, workdays) {
+    const pattern = {}; // key -> [Sun..Sat] lecture counts
+    Object.entries(perDate).forEach(([key, dates]) => {
+        const days = [0, 0, 0, 0, 0, 0, 0];
+        Object.values(dates).forEach(({ dow, count }) => {
+            days[dow] = Math.max(days[dow], count);
+        });
+        pattern[key] = days;
+    });
+    return pattern;
+}
+
+// Weekly pattern for one component of a course. Events whose component
+// matches none of the course's (blank, or "LECTURE" where the register
+// says "THEORY") go to the first component rather than being dropped,
+// so a single-component course always gets all of its classes.
+function componentPattern(pattern, course, index) {
+    const code = course.courseCode?.trim();
+    const names = (course.studentCourseCompDetails || []).map(c => c.courseCompName?.trim().toUpperCase() || '');
+    const days = [0, 0, 0, 0, 0, 0, 0];
+    Object.entries(pattern).forEach(([key, counts]) => {
+        const sep = key.indexOf('|');
+        if (key.slice(0, sep) !== code) return;
+        const owner = Math.max(0, names.indexOf(key.slice(sep + 1)));
+        if (owner === index) counts.forEach((n, dow) => { days[dow] += n; });
+    });
+    return days;
+}
+
+// Every 'YYYY-MM-DD' covered by a HOLIDAY event (holidays may span days)
+function holidayDates(schedule) {
+    const dates = new Set();
+    schedule.filter(ev => ev.type === 'HOLIDAY').forEach(ev => {
+        const start = parseFlexDate(ev.start);
+        if (!start) return;
+        let end = parseFlexDate(ev.end) || start;
+        // An end at exactly midnight is exclusive (all-day events)
+        if (end > start && end.getHours() === 0 && end.getMinutes() === 0) end = new Date(end - 1);
+        const d = new Date(start.toDateString());
+        while (d <= end) {
+            dates.add(fmtDate(d));
+            d.setDate(d.getDate() + 1);
+        }
+    });
+    return dates;
+}
+
+function renderProjectionResults(results, targetDate, classDays) {
     document.getElementById('projPlaceholder').style.display = 'none';
     const wrap = document.getElementById('projResultsWrap');
     wrap.style.display = '';
 
     let dangerItems = [];
+    const globalMin = policyFor().min;
+    const mixedPolicy = results.some(r => policyFor(r.course.courseId).min !== globalMin);
 
     const rows = results.map(r => {
-        const { pct: projPct, status: projStatus, canMiss: pCanMiss, mustAttend: pMust } = attendanceInfo(r.projPresent, r.projTotal);
+        const policy = policyFor(r.course.courseId);
+        const { pct: projPct, status: projStatus, canMiss: pCanMiss, mustAttend: pMust } = attendanceInfo(r.projPresent, r.projTotal, policy);
         const curDisp = r.curPct.toFixed(1);
         const projDisp = projPct.toFixed(1);
         const delta = projPct - r.curPct;
         const deltaStr = (delta >= 0 ? '+' : '') + delta.toFixed(1) + '%';
         const deltaClass = delta > 0.1 ? 'up' : delta < -0.1 ? 'down' : 'same';
 
-        if (projStatus !== 'safe') dangerItems.push({ name: r.course.courseName, pct: projDisp, must: pMust });
+        if (projStatus !== 'safe') dangerItems.push({ name: r.label, pct: projDisp, must: pMust, min: policy.min });
+        const disputed = disputesFor(r.course.courseId, r.courseCompId).length;
+        const whatIf = disputed > 0 &&
+            html`<div class="proj-dispute">⚖️ ${attendanceInfo(r.projPresent + disputed, r.projTotal, policy).pct.toFixed(1)}% if ${disputed} dispute${disputed > 1 ? 's are' : ' is'} accepted</div>`;
 
-        return `
+        return html`
       <div class="proj-course-row">
-        <div class="proj-name">${r.course.courseName}</div>
+        <div class="proj-name">${r.label}${whatIf}</div>
+        <div class="proj-lecs" title="Lectures expected before ${targetDate}">+${r.expected} lec</div>
         <div class="proj-from">${curDisp}%</div>
         <div class="proj-arrow">→</div>
         <div class="proj-to ${projStatus}">${projDisp}%</div>
         <div class="proj-delta ${deltaClass}">${deltaStr}</div>
       </div>`;
-    }).join('');
+    });
 
     const dangerBanner = dangerItems.length
-        ? `<div class="proj-danger-banner">
-        🚨 <strong>${dangerItems.length} subject(s)</strong> will be below 75%:<br/>
-        ${dangerItems.map(d => `• ${d.name} → ${d.pct}% (attend ${d.must} more)`).join('<br/>')}
+        ? html`<div class="proj-danger-banner">
+        🚨 <strong>${dangerItems.length} subject(s)</strong> will be below ${mixedPolicy ? 'their required %' : `${globalMin}%`}:<br/>
+        ${dangerItems.map((d, i) => html`${i > 0 && html`<br/>`}• ${d.name} → ${d.pct}%${mixedPolicy ? ` of ${d.min}%` : ''} (attend ${d.must} more)`)}
       </div>`
-        : `<div style="padding:12px 16px;border-radius:8px;background:var(--c-success-bg);border:1px solid rgba(16,185,129,0.2);color:#10b981;font-size:13px;font-weight:600;margin-top:12px;">✅ All subjects will be above 75% on ${targetDate}!</div>`;
+        : html`<div style="padding:12px 16px;border-radius:8px;background:var(--c-success-bg);border:1px solid rgba(16,185,129,0.2);color:#10b981;font-size:13px;font-weight:600;margin-top:12px;">✅ All subjects will be above ${mixedPolicy ? 'their required %' : `${globalMin}%`} on ${targetDate}!</div>`;
 
-    wrap.innerHTML = `
+    wrap.innerHTML = html`
     <div style="display:flex;align-items:center;justify-content:space-between;flex-wrap:wrap;gap:8px;margin-bottom:16px;">
       <h3 class="proj-results-title">📊 Projection for ${targetDate}</h3>
-      <div style="font-size:12px;color:var(--c-text-3);">${workdays} working days ahead</div>
+      <div style="font-size:12px;color:var(--c-text-3);">${classDays} class days · ${results.reduce((n, r) => n + r.expected, 0)} lectures ahead</div>
     </div>
     <div style="display:flex;gap:10px;font-size:12px;color:var(--c-text-3);margin-bottom:12px;padding:8px 16px;background:rgba(255,255,255,0.03);border-radius:8px;">
-      <span>Subject</span><span style="margin-left:auto;">Now</span><span>→</span><span>Projected</span><span>Δ</span>
+      <span>Subject</span><span style="margin-left:auto;">Lectures</span><span>Now</span><span>→</span><span>Projected</span><span>Δ</span>
     </div>
     ${rows}
     ${dangerBanner}`;
 }
 
+// ─── LEAVE OPTIMIZER ──────────────────────────────────────────
+// "I want N days off before the target date — which days hurt least?"
+// Greedy: repeatedly take the day that keeps the fewest components below
+// their threshold, then costs the fewest lectures, then leaves the widest
+// margin. Assumes every other class is attended.
+let optimizerPicks = [];
+
+async function runOptimizer() {
+    const target = readProjectionTarget();
+    if (!target) return;
+    const { targetDate, today, endDate } = target;
+    const want = parseInt(document.getElementById('optDays').value);
+    if (!(want >= 1)) { toast('Enter how many days off you want', 'error'); return; }
+    // Optimizer results replace the projection, so the link no longer restores one
+    projectionParams = null;
+    syncRoute({ replace: true });
+
+    const timetable = await loadProjectionTimetable(today, endDate);
+    if (!timetable) return;
+    const comps = futureLectures(state.courses, timetable.pattern, timetable.holidays, today, endDate);
+    const excl = exclusionIndex();
+
+    // Baseline: everything attended except leaves already planned
+    const base = comps.map(c => {
+        const courseExcl = excl.byCourse[c.course.courseId] || new Set();
+        let present = c.curPresent, total = c.curTotal;
+        const loss = {}; // ds -> lectures this component would lose
+        c.days.forEach(({ ds, n }) => {
+            total += n;
+            if (excl.full.has(ds) || courseExcl.has(ds)) return;
+            present += n;
+            loss[ds] = n;
+        });
+        return { ...c, present, total, loss, min: policyFor(c.course.courseId).min };
+    });
+
+    const candidates = [...new Set(comps.flatMap(c => c.days.map(d => d.ds)))]
+        .filter(ds => !excl.full.has(ds))
+        .sort();
+    if (!candidates.length) {
+        document.getElementById('projResultsWrap').innerHTML =
+            html`<div class="empty-state"><div class="empty-icon">🏖️</div><h3>No class days left</h3><p>There are no scheduled classes before ${targetDate} to skip.</p></div>`;
+        return;
+    }
+
+    const evaluate = days => {
+        let below = 0, lost = 0, margin = Infinity;
+        const hit = [];
+        base.forEach(c => {
+            const miss = days.reduce((n, ds) => n + (c.loss[ds] || 0), 0);
+            lost += miss;
+            const pct = c.total ? (c.present - miss) / c.total * 100 : 100;
+            // Only count components these days actually push (or keep) under
+            if (miss && pct < c.min) { below++; hit.push(c.label); }
+            margin = Math.min(margin, pct - c.min);
+        });
+        return { below, lost, margin, hit };
+    };
+    const better = (a, b) => a.below - b.below || a.lost - b.lost || b.margin - a.margin;
+
+    const ranked = candidates
+        .map(ds => ({ ds, ...evaluate([ds]) }))
+        .sort((a, b) => better(a, b) || a.ds.localeCompare(b.ds));
+
+    const picks = [];
+    while (picks.length < Math.min(want, candidates.length)) {
+        let best = null;
+        candidates.filter(ds => !picks.includes(ds)).forEach(ds => {
+            const score = { ds, ...evaluate([...picks, ds]) };
+            if (!best || better(score, best) < 0) best = score;
+        });
+        picks.push(best.ds);
+    }
+    optimizerPicks = picks.sort();
+
+    renderOptimizerResults(ranked, evaluate(optimizerPicks), base, targetDate, want);
+}
+
+function renderOptimizerResults(ranked, outcome, base, targetDate, want) {
+    const lossOn = ds => base.reduce((n, c) => n + (c.loss[ds] || 0), 0);
+    const dayLabel = ds => {
+        const d = parseFlexDate(ds + 'T00:00');
+        return `${DAYS[d.getDay()].slice(0, 3)}, ${d.getDate()} ${d.toLocaleString('default', { month: 'short' })}`;
+    };
+
+    const pickRows = optimizerPicks.map(ds => html`
+      <div class="opt-row picked">
+        <div class="opt-date">${dayLabel(ds)}</div>
+        <div class="opt-cost">${lossOn(ds)} lecture${lossOn(ds) === 1 ? '' : 's'}</div>
+      </div>`);
+
+    const verdict = outcome.below
+        ? html`<div class="proj-danger-banner">🚨 Taking these days leaves <strong>${outcome.below} subject(s)</strong> below the required %:${outcome.hit.map(h => html`<br/>• ${h}`)}</div>`
+        : html`<div class="opt-safe">✅ Every subject stays at or above its required % on ${targetDate}.</div>`;
+
+    const rankRows = ranked.slice(0, 10).map(r => html`
+      <div class="opt-row">
+        <div class="opt-date">${dayLabel(r.ds)}</div>
+        <div class="opt-cost">${r.lost} lec</div>
+        <div class="opt-risk ${r.below ? 'danger' : 'safe'}">${r.below ? `⚠️ ${r.below} below` : '✅ safe'}</div>
+      </div>`);
+
+    document.getElementById('projResultsWrap').innerHTML = html`
+    <div style="display:flex;align-items:center;justify-content:space-between;flex-wrap:wrap;gap:8px;margin-bottom:16px;">
+      <h3 class="proj-results-title">✨ Best ${optimizerPicks.length} day${optimizerPicks.length === 1 ? '' : 's'} off before ${targetDate}</h3>
+      <div style="font-size:12px;color:var(--c-text-3);">${outcome.lost} lectures missed in total</div>
+    </div>
+    ${optimizerPicks.length < want && html`<p class="settings-desc">Only ${optimizerPicks.length} class day(s) left before the target date.</p>`}
+    <div class="opt-list">${pickRows}</div>
+    ${verdict}
+    <button class="btn-calc" style="margin-top:14px;" data-action="applyOptimizerPicks">➕ Add all as exclusions</button>
+
+    <h4 class="opt-subtitle">📋 Cheapest single days</h4>
+    <div class="opt-list">${rankRows}</div>`;
+}
+
+function applyOptimizerPicks() {
+    let added = 0;
+    optimizerPicks.forEach(date => {
+        if (exclusions.find(e => e.date === date && e.courseId === null)) return;
+        exclusions.push({ date, courseId: null, courseName: 'Full Day' });
+        added++;
+    });
+    renderExclusions();
+    toast(added ? `Added ${added} day(s) off to your plan` : 'Those days are already excluded', added ? 'success' : 'info');
+    if (added) runProjection();
+}
+
+// ─── NOTIFICATIONS ───────────────────────────────────────────
+let reminderTimers = [];
+let summaryTimer = null;
+
+// (Re)arm class reminders and the morning summary from current settings
+async function scheduleNotifications() {
+    reminderTimers.forEach(clearTimeout);
+    reminderTimers = [];
+    clearTimeout(summaryTimer);
+
+    const n = getNotifySettings();
+    if (notificationPermission() !== 'granted' || !(n.classReminders || n.morningSummary)) return;
+
+    if (!state.ttSchedule) {
+        try { state.ttSchedule = await getWeeklySchedule(); } catch { return; }
+    }
+    const classes = state.ttSchedule.filter(ev => ev.type !== 'HOLIDAY' && parseFlexDate(ev.start));
+
+    if (n.classReminders) {
+        const lead = n.reminderMinutes * 60000;
+        const now = Date.now();
+        classes.forEach(ev => {
+            const start = parseFlexDate(ev.start);
+            const at = +start - lead;
+            if (at <= now) return;
+            reminderTimers.push(setTimeout(() => showNotification(
+                `⏰ ${ev.courseName || ev.title} in ${n.reminderMinutes} min`,
+                {
+                    body: [fmtTime(start), ev.classRoom, ev.facultyName].filter(Boolean).join(' · '),
+                    tag: `class-${ev.courseCode?.trim()}-${+start}`,
+                },
+            ), at - now));
+        });
+    }
+
+    if (n.morningSummary) {
+        const [h, m] = n.summaryTime.split(':').map(Number);
+        const at = new Date();
+        at.setHours(h, m, 0, 0);
+        // Opened a little after the summary time: send now; much later, or
+        // already sent, wait for tomorrow's
+        if (store.get('notifyLastSummary') === fmtDate(new Date()) || Date.now() - at > 4 * 3600000) {
+            at.setDate(at.getDate() + 1);
+        }
+        summaryTimer = setTimeout(morningSummaryDue, Math.max(0, at - Date.now()));
+    }
+}
+
+// A tab left open overnight fetches the new day's classes first, then
+// re-arms the reminders and the next morning's summary
+async function morningSummaryDue() {
+    try { state.ttSchedule = await getWeeklySchedule(); } catch { }
+    sendMorningSummary((state.ttSchedule || []).filter(ev => ev.type !== 'HOLIDAY' && parseFlexDate(ev.start)));
+    scheduleNotifications();
+}
+
+function sendMorningSummary(classes) {
+    const today = new Date();
+    const todays = classes
+        .filter(ev => isSameDay(parseFlexDate(ev.start), today))
+        .sort((a, b) => parseFlexDate(a.start) - parseFlexDate(b.start));
+    store.set('notifyLastSummary', fmtDate(today));
+    if (!todays.length) return;
+
+    const icon = { safe: '✅', warn: '⚠️', danger: '🚨' };
+    const lines = todays.map(ev => {
+        const course = state.courses.find(c => c.courseCode?.trim() === ev.courseCode?.trim());
+        let risk = '';
+        if (course) {
+            const { present, total } = courseTotals(course);
+            const { pct, status } = attendanceInfo(present, total, policyFor(course.courseId));
+            risk = ` ${icon[status]} ${pct.toFixed(0)}%`;
+        }
+        return `${fmtTime(parseFlexDate(ev.start))} ${ev.courseName || ev.title}${risk}`;
+    });
+    showNotification(`☀️ ${todays.length} class${todays.length === 1 ? '' : 'es'} today`, {
+        body: lines.join('\n'),
+        tag: `summary-${fmtDate(today)}`,
+    });
+}
+
+// Compare each course's status with the last live refresh and alert on
+// safe → warn/danger or warn → danger. The baseline is always updated.
+function checkStatusDrops(courses) {
+    const rank = { safe: 0, warn: 1, danger: 2 };
+    let previous = {};
+    try { previous = JSON.parse(store.get('notifyLastStatus')) || {}; } catch { }
+
+    const current = {};
+    const dropped = [];
+    courses.forEach(c => {
+        const { present, total, comps } = courseTotals(c);
+        if (!comps.length) return;
+        const { pct, status } = attendanceInfo(present, total, policyFor(c.courseId));
+        current[c.courseId] = status;
+        const before = previous[c.courseId];
+        if (before && rank[status] > rank[before]) dropped.push({ c, pct, status });
+    });
+    store.set('notifyLastStatus', JSON.stringify(current));
+
+    if (!getNotifySettings().dropAlerts || !dropped.length) return;
+    dropped.forEach(({ c, pct, status }) => showNotification(
+        `${status === 'danger' ? '🚨' : '⚠️'} ${c.courseName} dropped to ${pct.toFixed(1)}%`,
+        {
+            body: status === 'danger' ? 'Now in the danger zone.' : `Now below ${policyFor(c.courseId).min}%.`,
+            tag: `drop-${c.courseId}`,
+        },
+    ));
+}
+
+// ─── TRENDS ──────────────────────────────────────────────────
+// courseId -> lectureList merged across the course's components.
+// Fetched one at a time through the shared lecture cache.
+async function loadAllLectureLists() {
+    const lectures = {};
+    for (const c of state.courses) {
+        lectures[c.courseId] = [];
+        for (const comp of (c.studentCourseCompDetails || [])) {
+            const key = `${c.courseId}_${comp.courseCompId}`;
+            try {
+                const data = state.lectureCache[key] || await getLectureWiseAttendance(c.studentId, c.courseId, comp.courseCompId);
+                state.lectureCache[key] = data;
+                lectures[c.courseId].push(...(data.lectureList || []));
+            } catch (e) {
+                if (e.isAuthError) throw e;
+            }
+        }
+    }
+    return lectures;
+}
+
+async function loadTrends() {
+    const el = document.getElementById('trendsContent');
+    try {
+        if (!state.courses.length) state.courses = await getRegisteredCourses();
+        const studentId = currentStudentId();
+        const snapshots = studentId != null ? await getSnapshots(studentId).catch(() => []) : [];
+
+        // Lecture lists let us rebuild history from before SkipGenie was used
+        renderTrends(snapshots, await loadAllLectureLists());
+    } catch (e) {
+        if (e.isAuthError) { promptRelogin(); return; }
+        el.innerHTML = html`<div class="empty-state"><div class="empty-icon">📈</div><h3>Could not load trends</h3><p>${e.message}</p></div>`;
+    }
+}
+
+function renderTrends(snapshots, lectures) {
+    const overallPoints = snapshots
+        .filter(s => s.presentPerc != null)
+        .map(s => ({ t: parseFlexDate(s.date + 'T00:00'), v: s.presentPerc }));
+
+    const courseCards = state.courses.map(c => {
+        const { present, total } = courseTotals(c);
+        const policy = policyFor(c.courseId);
+        const { pct, status } = attendanceInfo(present, total, policy);
+
+        // Rebuilt points win; snapshots fill in days with no lecture data
+        const byDate = new Map();
+        snapshots.forEach(s => {
+            const rows = s.courses.filter(r => r.courseId === c.courseId);
+            const t = rows.reduce((n, r) => n + r.total, 0);
+            if (t) byDate.set(s.date, rows.reduce((n, r) => n + r.present, 0) / t * 100);
+        });
+        seriesFromLectures(lectures[c.courseId] || []).forEach(p => byDate.set(fmtDate(p.t), p.v));
+        const points = [...byDate.entries()]
+            .map(([date, v]) => ({ t: parseFlexDate(date + 'T00:00'), v }))
+            .sort((a, b) => a.t - b.t);
+
+        return html`
+      <div class="card trend-card">
+        <div class="trend-head">
+          <div class="trend-name">${c.courseName}</div>
+          <div class="course-pct ${status}" style="font-size:16px;">${pct.toFixed(1)}%</div>
+        </div>
+        ${lineChart([{ color: pctColor(status), points }], { threshold: policy.min, height: 150 })}
+      </div>`;
+    });
+
+    document.getElementById('trendsContent').innerHTML = html`
+      <div class="card trend-card" style="margin-bottom:18px;">
+        <div class="trend-head">
+          <div class="trend-name">📊 Overall attendance</div>
+          <div class="trend-sub">${snapshots.length} snapshot${snapshots.length === 1 ? '' : 's'} saved</div>
+        </div>
+        ${lineChart([{ color: 'var(--c-primary-l)', points: overallPoints }], { threshold: policyFor().min })}
+      </div>
+      <div class="trends-grid">${courseCards}</div>`;
+}
+
+// Cumulative percentage after each lecture day, oldest first
+function seriesFromLectures(lectureList) {
+    const dated = lectureList
+        .map(l => ({ t: parseFlexDate(l.planLecDate), present: l.attendance === 'PRESENT' }))
+        .filter(l => l.t && !isNaN(l.t))
+        .sort((a, b) => a.t - b.t);
+
+    const points = [];
+    let present = 0, total = 0;
+    dated.forEach(l => {
+        total++;
+        if (l.present) present++;
+        const day = new Date(l.t.toDateString());
+        const last = points[points.length - 1];
+        const v = present / total * 100;
+        if (last && isSameDay(last.t, day)) last.v = v;
+        else points.push({ t: day, v });
+    });
+    return points;
+}
+
+// ─── Charts ───────────────────────────────────────────────────
+// series: [{ color, points: [{ t: Date, v: pct }] }]; threshold drawn dashed
+function lineChart(series, { threshold, height = 180 } = {}) {
+    const all = series.flatMap(s => s.points);
+    if (all.length < 2) {
+        return html`<div class="chart-empty">Not enough history yet — it builds up with every refresh.</div>`;
+    }
+
+    const W = 600, H = height, pad = { l: 34, r: 14, t: 12, b: 24 };
+    const t0 = Math.min(...all.map(p => +p.t)), t1 = Math.max(...all.map(p => +p.t));
+    const vals = all.map(p => p.v).concat(threshold != null ? [threshold] : []);
+    const lo = Math.max(0, Math.floor((Math.min(...vals) - 5) / 10) * 10);
+    const hi = Math.min(100, Math.ceil((Math.max(...vals) + 5) / 10) * 10);
+    const x = t => pad.l + (t1 === t0 ? 0.5 : (t - t0) / (t1 - t0)) * (W - pad.l - pad.r);
+    const y = v => pad.t + (hi - v) / (hi - lo || 1) * (H - pad.t - pad.b);
+    const fmtShort = ts => new Date(ts).toLocaleDateString('en-IN', { day: 'numeric', month: 'short' });
+
+    const grid = [lo, (lo + hi) / 2, hi].map(v => html`
+      <line class="chart-grid" x1="${pad.l}" x2="${W - pad.r}" y1="${y(v)}" y2="${y(v)}"/>
+      <text class="chart-label" x="${pad.l - 6}" y="${y(v) + 4}" text-anchor="end">${Math.round(v)}%</text>`);
+
+    const thresholdLine = threshold != null && html`
+      <line class="chart-threshold" x1="${pad.l}" x2="${W - pad.r}" y1="${y(threshold)}" y2="${y(threshold)}"/>
+      <text class="chart-threshold-lbl" x="${W - pad.r}" y="${y(threshold) - 5}" text-anchor="end">${threshold}%</text>`;
+
+    const lines = series.filter(s => s.points.length).map(s => {
+        const pts = s.points.map(p => `${x(+p.t).toFixed(1)},${y(p.v).toFixed(1)}`).join(' ');
+        const last = s.points[s.points.length - 1];
+        return html`
+      <polyline class="chart-line" points="${pts}" style="stroke:${s.color}"/>
+      <circle cx="${x(+last.t)}" cy="${y(last.v)}" r="4" style="fill:${s.color}"/>`;
+    });
+
+    return html`
+    <svg class="line-chart" viewBox="0 0 ${W} ${H}">
+      ${grid}
+      ${thresholdLine}
+      ${lines}
+      <text class="chart-label" x="${pad.l}" y="${H - 6}">${fmtShort(t0)}</text>
+      <text class="chart-label" x="${W - pad.r}" y="${H - 6}" text-anchor="end">${fmtShort(t1)}</text>
+    </svg>`;
+}
+
+// SGPA bars with the running CGPA drawn over them, oldest semester first.
+// semesters: gradeHistory() entries
+function gpaChart(semesters) {
+    const W = 600, H = 200, pad = { l: 34, r: 14, t: 18, b: 26 };
+    const vals = semesters.flatMap(h => [h.sgpa, h.cgpa]).filter(v => v != null);
+    if (!vals.length) return html`<div class="chart-empty">No graded semesters yet.</div>`;
+
+    const lo = Math.max(0, Math.floor(Math.min(...vals)) - 1), hi = 10;
+    const slot = (W - pad.l - pad.r) / semesters.length;
+    const x = i => pad.l + slot * (i + 0.5);
+    const y = v => pad.t + (hi - v) / (hi - lo) * (H - pad.t - pad.b);
+    const barW = Math.min(56, slot * 0.55);
+    const short = name => (name || '').replace(/^semester\s*/i, 'Sem ');
+
+    const grid = [lo, (lo + hi) / 2, hi].map(v => html`
+      <line class="chart-grid" x1="${pad.l}" x2="${W - pad.r}" y1="${y(v)}" y2="${y(v)}"/>
+      <text class="chart-label" x="${pad.l - 6}" y="${y(v) + 4}" text-anchor="end">${+v.toFixed(1)}</text>`);
+
+    const bars = semesters.map((h, i) => h.sgpa != null && html`
+      <rect class="gpa-bar" x="${x(i) - barW / 2}" y="${y(h.sgpa)}" width="${barW}" height="${y(lo) - y(h.sgpa)}" rx="4"/>
+      <text class="chart-label" x="${x(i)}" y="${y(h.sgpa) - 5}" text-anchor="middle">${h.sgpa.toFixed(2)}</text>`);
+
+    const pts = semesters.map((h, i) => h.cgpa != null ? `${x(i).toFixed(1)},${y(h.cgpa).toFixed(1)}` : null).filter(Boolean);
+    const line = html`
+      <polyline class="chart-line" points="${pts.join(' ')}" style="stroke:#f59e0b"/>
+      ${semesters.map((h, i) => h.cgpa != null && html`<circle cx="${x(i)}" cy="${y(h.cgpa)}" r="4" style="fill:#f59e0b"><title>CGPA ${h.cgpa.toFixed(2)}</title></circle>`)}`;
+
+    return html`
+    <svg class="line-chart" viewBox="0 0 ${W} ${H}">
+      ${grid}
+      ${bars}
+      ${line}
+      ${semesters.map((h, i) => html`<text class="chart-label" x="${x(i)}" y="${H - 6}" text-anchor="middle">${short(h.name)}</text>`)}
+    </svg>`;
+}
+
+// ─── ABSENCE PATTERNS ────────────────────────────────────────
+const WEEKDAYS = [1, 2, 3, 4, 5, 6]; // Mon–Sat
+
+async function loadPatterns() {
+    const el = document.getElementById('patternsContent');
+    try {
+        if (!state.courses.length) state.courses = await getRegisteredCourses();
+        renderPatterns(await loadAllLectureLists());
+    } catch (e) {
+        if (e.isAuthError) { promptRelogin(); return; }
+        el.innerHTML = html`<div class="empty-state"><div class="empty-icon">🧩</div><h3>Could not load lectures</h3><p>${e.message}</p></div>`;
+    }
+}
+
+function renderPatterns(lectures) {
+    // Flatten to dated lectures tagged with their course
+    const all = [];
+    state.courses.forEach(c => (lectures[c.courseId] || []).forEach(l => {
+        const t = parseFlexDate(l.planLecDate);
+        if (!t || isNaN(t)) return;
+        all.push({ course: c, t, slot: l.timeSlot?.trim() || '—', absent: l.attendance === 'ABSENT' });
+    }));
+    if (!all.length) {
+        document.getElementById('patternsContent').innerHTML =
+            html`<div class="empty-state"><div class="empty-icon">🧩</div><h3>No lectures yet</h3><p>Patterns show up once lectures are marked.</p></div>`;
+        return;
+    }
+
+    // weekday × slot cells
+    const cells = {}; // `${dow}|${slot}` -> { total, absent }
+    all.forEach(l => {
+        const key = `${l.t.getDay()}|${l.slot}`;
+        if (!cells[key]) cells[key] = { dow: l.t.getDay(), slot: l.slot, total: 0, absent: 0 };
+        cells[key].total++;
+        if (l.absent) cells[key].absent++;
+    });
+    const slots = [...new Set(all.map(l => l.slot))].sort((a, b) => slotMinutes(a) - slotMinutes(b));
+    const days = WEEKDAYS.filter(d => slots.some(s => cells[`${d}|${s}`]));
+
+    const heatmap = html`
+      <div class="heatmap" style="grid-template-columns:56px repeat(${slots.length}, minmax(64px, 1fr));">
+        <div></div>
+        ${slots.map(s => html`<div class="hm-head">${s}</div>`)}
+        ${days.map(d => html`
+          <div class="hm-day">${DAYS[d].slice(0, 3)}</div>
+          ${slots.map(s => {
+        const cell = cells[`${d}|${s}`];
+        if (!cell) return html`<div class="hm-cell empty"></div>`;
+        const rate = cell.absent / cell.total;
+        return html`<div class="hm-cell" style="background:rgba(239,68,68,${(0.08 + rate * 0.72).toFixed(2)})"
+              title="${DAYS[d]} ${s}: missed ${cell.absent} of ${cell.total}">${cell.absent}/${cell.total}</div>`;
+    })}`)}
+      </div>`;
+
+    // Most-missed slots across all courses
+    const worst = Object.values(cells)
+        .filter(c => c.absent)
+        .sort((a, b) => b.absent - a.absent || b.absent / b.total - a.absent / a.total)
+        .slice(0, 5);
+    const worstHTML = worst.length ? worst.map(c => html`
+      <div class="opt-row">
+        <div class="opt-date">${DAYS[c.dow]} · ${c.slot}</div>
+        <div class="opt-cost">missed ${c.absent} of ${c.total}</div>
+        <div class="opt-risk danger">${Math.round(c.absent / c.total * 100)}%</div>
+      </div>`) : html`<div class="chart-empty">No absences — nothing to see here 🎉</div>`;
+
+    // Longest run of consecutive absences per course
+    const streaks = state.courses.map(c => {
+        const list = all.filter(l => l.course === c).sort((a, b) => a.t - b.t);
+        let best = { len: 0 }, run = null;
+        list.forEach((l, i) => {
+            if (!l.absent) { run = null; return; }
+            run = run ? { ...run, len: run.len + 1, to: l.t } : { len: 1, from: l.t, to: l.t };
+            if (run.len > best.len) best = { ...run, ongoing: i === list.length - 1 };
+        });
+        return { course: c, ...best };
+    }).filter(s => s.len).sort((a, b) => b.len - a.len);
+
+    const fmtShort = d => d.toLocaleDateString('en-IN', { day: 'numeric', month: 'short' });
+    const streakHTML = streaks.length ? streaks.map(s => html`
+      <div class="opt-row">
+        <div class="opt-date">${s.course.courseName}</div>
+        <div class="opt-cost">${fmtShort(s.from)}${s.len > 1 ? ` – ${fmtShort(s.to)}` : ''}</div>
+        <div class="opt-risk ${s.ongoing ? 'danger' : 'safe'}">${s.len} in a row${s.ongoing ? ' · now' : ''}</div>
+      </div>`) : html`<div class="chart-empty">No absence streaks.</div>`;
+
+    document.getElementById('patternsContent').innerHTML = html`
+      <div class="card" style="margin-bottom:18px;">
+        <div class="trend-head">
+          <div class="trend-name">🗓️ Absences by weekday & slot</div>
+          <div class="trend-sub">${all.filter(l => l.absent).length} absences in ${all.length} lectures</div>
+        </div>
+        <div class="heatmap-scroll">${heatmap}</div>
+      </div>
+      <div class="patterns-grid">
+        <div class="card">
+          <div class="trend-name" style="margin-bottom:12px;">🎯 Most-missed slots</div>
+          <div class="opt-list">${worstHTML}</div>
+        </div>
+        <div class="card">
+          <div class="trend-name" style="margin-bottom:12px;">🔥 Longest absence streaks</div>
+          <div class="opt-list">${streakHTML}</div>
+        </div>
+      </div>`;
+}
+
+// Minutes since midnight for the first time in a slot like "09:10 AM - 10:00 AM".
+// Unreadable slots get a finite sentinel past midnight, so they sort last.
+const UNKNOWN_SLOT = 24 * 60;
+
+function slotMinutes(slot) {
+    const m = /(\d{1,2})[:.](\d{2})\s*([AaPp][Mm])?/.exec(slot || '');
+    if (!m) return UNKNOWN_SLOT;
+    let h = parseInt(m[1]);
+    const ap = m[3]?.toUpperCase();
+    if (ap === 'PM' && h < 12) h += 12;
+    if (ap === 'AM' && h === 12) h = 0;
+    return h * 60 + parseInt(m[2]);
+}
+
+// ─── SETTINGS ────────────────────────────────────────────────
+async function loadSettings() {
+    try {
+        if (!state.courses.length) state.courses = await getRegisteredCourses();
+    } catch (e) {
+        if (e.isAuthError) { promptRelogin(); return; }
+    }
+    renderSettings();
+}
+
+function renderSettings() {
+    const policy = getPolicy();
+    document.getElementById('settingsContent').innerHTML = html`
+      <div class="card settings-card">
+        <h3 class="settings-title">🎯 Attendance Policy</h3>
+        <p class="settings-desc">Below the required % a subject turns amber; below the warning floor
+          (e.g. the condonation limit) it turns red. Can-bunk and must-attend numbers use the required %.</p>
+        <div class="settings-grid">
+          <div class="form-group">
+            <label class="form-label">Required %</label>
+            <input type="number" class="form-input" id="policyMin" min="1" max="99" step="0.5" value="${policy.min}" />
+          </div>
+          <div class="form-group">
+            <label class="form-label">Warning floor %</label>
+            <input type="number" class="form-input" id="policyWarn" min="1" max="99" step="0.5" value="${policy.warn}" />
+          </div>
+        </div>
+
+        <h3 class="settings-title" style="margin-top:8px;">📚 Per-subject Overrides</h3>
+        <p class="settings-desc">Leave blank to use the global policy.</p>
+        ${state.courses.length ? html`
+        <div class="override-list">
+          <div class="override-row override-head">
+            <span class="override-name">Subject</span><span>Required %</span><span>Warning %</span>
+          </div>
+          ${state.courses.map(c => {
+        const o = policy.overrides[c.courseId];
+        return html`
+          <div class="override-row" data-course-id="${c.courseId}">
+            <span class="override-name">${c.courseName}</span>
+            <input type="number" class="form-input override-min" min="1" max="99" step="0.5" placeholder="${policy.min}" value="${o?.min ?? ''}" />
+            <input type="number" class="form-input override-warn" min="1" max="99" step="0.5" placeholder="${policy.warn}" value="${o?.warn ?? ''}" />
+          </div>`;
+    })}
+        </div>` : html`<p class="settings-desc">Load your attendance on the Home tab to set per-subject cut-offs.</p>`}
+
+        <div class="settings-actions">
+          <button class="btn-calc" data-action="saveSettings">💾 Save Policy</button>
+          <button class="btn-add-excl" data-action="resetSettings">↺ Reset to 75% / 65%</button>
+        </div>
+      </div>
+      ${notificationSettingsHTML()}
+      ${relaySettingsHTML()}`;
+}
+
+function relaySettingsHTML() {
+    const base = getProxyBase();
+    return html`
+      <div class="card settings-card" style="margin-top:18px;">
+        <h3 class="settings-title">🔌 API Relay</h3>
+        <p class="settings-desc">CyberVidya blocks requests from other websites, so SkipGenie talks to it through a relay.
+          Your token passes through the relay — use one you or your team runs (<code>node relay/server.mjs</code>).
+          Leave blank to call the portal directly, which only works when SkipGenie runs on localhost.</p>
+        <div class="form-group">
+          <label class="form-label">Relay URL</label>
+          <input type="url" class="form-input" id="proxyBase" placeholder="https://relay.example.com" value="${base}" />
+        </div>
+        <div class="settings-actions">
+          <button class="btn-calc" data-action="saveRelay">💾 Save Relay</button>
+          <button class="btn-add-excl" data-action="testRelay">🩺 Test</button>
+          <button class="btn-add-excl" data-action="resetRelay">↺ Use default</button>
+        </div>
+      </div>`;
+}
+
+function saveRelay() {
+    const base = document.getElementById('proxyBase').value.trim();
+    if (base && !/^https?:\/\/[^/]+/.test(base)) { toast('Enter a full URL, e.g. https://relay.example.com', 'error'); return; }
+    setProxyBase(base);
+    toast(base ? 'Relay saved' : 'Relay cleared — calling the portal directly', 'success');
+    renderSettings();
+}
+
+function resetRelay() {
+    setProxyBase(null);
+    toast('Relay reset to the default', 'info');
+    renderSettings();
+}
+
+async function testRelay() {
+    const base = document.getElementById('proxyBase').value.trim().replace(/\/+$/, '');
+    if (!base) { toast('Enter a relay URL first', 'error'); return; }
+    try {
+        const res = await fetch(`${base}/health`);
+        if (!res.ok) throw new Error(`HTTP ${res.status}`);
+        toast('Relay is reachable ✅', 'success');
+    } catch (e) {
+        toast(`Relay not reachable: ${e.message}`, 'error');
+    }
+}
+
+function notificationSettingsHTML() {
+    const n = getNotifySettings();
+    const perm = notificationPermission();
+    const permNote = {
+        granted: null,
+        default: html`<button class="btn-add-excl" style="margin-bottom:14px;" data-action="enableNotifications">🔔 Allow notifications</button>`,
+        denied: html`<p class="settings-desc" style="color:#ef4444;">Notifications are blocked for this site. Allow them in your browser's site settings.</p>`,
+        unsupported: html`<p class="settings-desc" style="color:#ef4444;">This browser doesn't support notifications.</p>`,
+    }[perm];
+    const off = perm !== 'granted' ? 'disabled' : '';
+
+    // Each input names its setting; setNotify reads the value by input type
+    return html`
+      <div class="card settings-card" style="margin-top:18px;">
+        <h3 class="settings-title">🔔 Notifications</h3>
+        <p class="settings-desc">Reminders only fire while SkipGenie is open in a tab or window — nothing is sent once it is closed.</p>
+        ${permNote}
+        <label class="check-row"><input type="checkbox" ${off} ${n.classReminders ? 'checked' : ''} data-change="setNotify" data-key="classReminders" />
+          Class reminders, <input type="number" class="form-input inline-num" ${off} min="1" max="120" value="${n.reminderMinutes}" data-change="setNotify" data-key="reminderMinutes" /> min before</label>
+        <label class="check-row"><input type="checkbox" ${off} ${n.dropAlerts ? 'checked' : ''} data-change="setNotify" data-key="dropAlerts" />
+          Alert when a subject drops into the warning or danger zone</label>
+        <label class="check-row"><input type="checkbox" ${off} ${n.morningSummary ? 'checked' : ''} data-change="setNotify" data-key="morningSummary" />
+          Morning summary at <input type="time" class="form-input inline-time" ${off} value="${n.summaryTime}" data-change="setNotify" data-key="summaryTime" /></label>
+      </div>`;
+}
+
+async function enableNotifications() {
+    const perm = await requestNotificationPermission();
+    if (perm === 'granted') toast('Notifications allowed', 'success');
+    else toast('Notifications were not allowed', 'error');
+    renderSettings();
+}
+
+// A blank or invalid number/time falls back to the value last rendered
+function setNotify(el) {
+    const value = el.type === 'checkbox' ? el.checked
+        : el.type === 'number' ? parseInt(el.value) || parseInt(el.defaultValue)
+            : el.value || el.defaultValue;
+    saveNotifySettings({ ...getNotifySettings(), [el.dataset.key]: value });
+    scheduleNotifications();
+}
+
+function saveSettings() {
+    const min = parseFloat(document.getElementById('policyMin').value);
+    const warn = parseFloat(document.getElementById('policyWarn').value);
+    if (!(min >= 1 && min <= 99) || !(warn >= 1 && warn <= 99)) { toast('Percentages must be between 1 and 99', 'error'); return; }
+    if (warn > min) { toast('Warning floor cannot be above the required %', 'error'); return; }
+
+    const overrides = {};
+    document.querySelectorAll('.override-row[data-course-id]').forEach(row => {
+        const oMin = row.querySelector('.override-min').value;
+        const oWarn = row.querySelector('.override-warn').value;
+        if (oMin === '' && oWarn === '') return;
+        const effMin = oMin === '' ? min : parseFloat(oMin);
+        overrides[row.dataset.courseId] = {
+            min: effMin,
+            warn: Math.min(oWarn === '' ? warn : parseFloat(oWarn), effMin),
+        };
+    });
+
+    savePolicy({ min, warn, overrides });
+    applyPolicyChange();
+    toast('Attendance policy saved', 'success');
+}
+
+function resetSettings() {
+    resetPolicy();
+    applyPolicyChange();
+    toast('Policy reset to defaults', 'info');
+}
+
+// Re-render everything that shows a status, colour or threshold
+function applyPolicyChange() {
+    renderSettings();
+    if (state.dashboard) renderOverallCard(state.dashboard);
+    if (state.courses.length) {
+        renderStatsRow(state.courses);
+        renderCourseCards(state.courses);
+    }
+    if (state.examSchedule) renderExamSchedule(state.examSchedule);
+}
+
 // ─── Helpers ──────────────────────────────────────────────────
 function parseFlexDate(str) {
     if (!str) return null;
@@ -874,6 +3127,44 @@ function parseFlexDate(str) {
     } catch { return null; }
 }
 
+// Exam date + "10:00 AM - 01:00 PM" style time into { start, end, allDay }.
+// No usable time means an all-day entry; a single time gets a 3 h slot.
+function parseExamWhen(ex) {
+    const day = parseFlexDate(ex.strExamDate);
+    if (!day || isNaN(day)) return null;
+
+    const times = [...(ex.strExamTime || '').matchAll(/(\d{1,2})[:.](\d{2})\s*([AaPp][Mm])?/g)].map(m => {
+        let h = parseInt(m[1]);
+        const ap = m[3]?.toUpperCase();
+        if (ap === 'PM' && h < 12) h += 12;
+        if (ap === 'AM' && h === 12) h = 0;
+        const d = new Date(day);
+        d.setHours(h, parseInt(m[2]), 0, 0);
+        return d;
+    });
+    if (!times.length) return { start: new Date(day.toDateString()), end: null, allDay: true };
+
+    const start = times[0];
+    const end = times[1] && times[1] > start ? times[1] : new Date(+start + 3 * 3600000);
+    return { start, end, allDay: false };
+}
+
+// Runs at most `limit` tasks at once, in the order they were queued
+function createQueue(limit) {
+    let active = 0;
+    const waiting = [];
+    const next = () => {
+        if (active >= limit || !waiting.length) return;
+        active++;
+        const { task, resolve, reject } = waiting.shift();
+        task().then(resolve, reject).finally(() => { active--; next(); });
+    };
+    return task => new Promise((resolve, reject) => {
+        waiting.push({ task, resolve, reject });
+        next();
+    });
+}
+
 function isSameDay(a, b) {
     if (!a || !b) return false;
     return a.getDate() === b.getDate() && a.getMonth() === b.getMonth() && a.getFullYear() === b.getFullYear();
@@ -888,17 +3179,98 @@ function fmtTime(d) {
     return d.toLocaleTimeString('en-IN', { hour: '2-digit', minute: '2-digit', hour12: true });
 }
 
+// "Today", "Tomorrow" or the weekday
+function dayLabel(d) {
+    const tomorrow = new Date();
+    tomorrow.setDate(tomorrow.getDate() + 1);
+    if (isSameDay(d, new Date())) return 'Today';
+    if (isSameDay(d, tomorrow)) return 'Tomorrow';
+    return DAYS[d.getDay()];
+}
+
+// Time left as "3d 4h", "5h 12m" or "12m"
+function fmtCountdown(ms) {
+    const mins = Math.max(0, Math.ceil(ms / 60000));
+    const d = Math.floor(mins / 1440), h = Math.floor(mins % 1440 / 60), m = mins % 60;
+    if (d) return `${d}d ${h}h`;
+    if (h) return `${h}h ${m}m`;
+    return `${m}m`;
+}
+
+function timeAgo(ts) {
+    const mins = Math.floor((Date.now() - ts) / 60000);
+    if (mins < 1) return 'just now';
+    if (mins < 60) return `${mins} min ago`;
+    const hrs = Math.floor(mins / 60);
+    if (hrs < 24) return `${hrs} hr ago`;
+    const days = Math.floor(hrs / 24);
+    return `${days} day${days > 1 ? 's' : ''} ago`;
+}
+
 function formatDisplayDate(str) {
     const d = parseFlexDate(str);
     if (!d) return str;
     return d.toLocaleDateString('en-IN', { day: 'numeric', month: 'short', year: 'numeric' });
 }
 
-function redirectLogin() {
-    doLogout();
-    window.location.href = 'index.html';
+function currentStudentId() {
+    return state.courses[0]?.studentId ?? state.userDetails?.studentId ?? null;
 }
 
+// ─── Actions ──────────────────────────────────────────────────
+// Markup names its handler with data-action / data-change (see html.js);
+// ids and indexes travel in data-* attributes, never in handler strings.
+// Modal overlays close on a backdrop click, not on clicks inside the dialog
+const dismiss = fn => (el, e) => {
+    if (!el.classList.contains('modal-overlay') || e.target === el) fn();
+};
+
+actions({
+    navigate: el => navigate(el.dataset.page),
+    toggleSidebar,
+    closeSidebar,
+    toggleTheme,
+    confirmLogout,
+    toggleProfileMenu,
+    switchAccount: el => switchAccount(el.dataset.id),
+    renameAccount,
+    addAccount,
+    closeRelogin: dismiss(closeRelogin),
+    openPortalLogin,
+    submitRelogin,
+    refreshHome,
+    openLecture: el => showLecture(Number(el.dataset.courseId), Number(el.dataset.compId)),
+    closeLectureModal: dismiss(hideLecture),
+    toggleDispute: el => toggleDispute(Number(el.dataset.index)),
+    disputeReport: el => openDisputeReport(Number(el.dataset.courseId)),
+    changeWeek: el => changeWeek(Number(el.dataset.dir)),
+    setTtView: el => setTtView(el.dataset.view),
+    setTtDay: el => setTtDay(Number(el.dataset.day)),
+    openExportModal,
+    closeExportModal: dismiss(closeExportModal),
+    exportCalendar,
+    switchExamTab: el => switchExamTab(el.dataset.tab),
+    addExclusion,
+    removeExclusion: el => removeExclusion(Number(el.dataset.index)),
+    runProjection,
+    runOptimizer,
+    applyOptimizerPicks,
+    saveSettings,
+    resetSettings,
+    saveRelay,
+    testRelay,
+    resetRelay,
+    enableNotifications,
+    setNotify,
+    planGrade,
+    planTarget,
+});
+
 // ─── BOOT ─────────────────────────────────────────────────────
+registerServiceWorker();
+if (fixtureMode) toast('Fixture mode — showing demo data (?fixtures=0 to leave)', 'info', 5000);
 loadHome();
 pagesLoaded.add('home');
+applyRoute(currentRoute(), { initial: true });
+onRouteChange(applyRoute);
+checkSessionAtStartup();
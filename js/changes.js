@@ -0,0 +1,137 @@
+/**
+ * changes.js — Timetable change detection
+ * Remembers the last classes the portal listed for each day and reports
+ * what a fresh fetch changed: a class moved (time), swapped (course) or
+ * got a new room or faculty, a class added, cancelled, or dropped for a
+ * holiday. Stored per profile (see profiles.js) as 'scheduleSeen':
+ *   { 'YYYY-MM-DD': { classes: [slim event], holiday, changes: [change] } }
+ * Days rather than weeks, so the home page's rolling seven days and the
+ * timetable's Monday–Sunday weeks update the same entries. Changes stay
+ * on their day (for highlighting) until the day is pruned.
+ */
+
+import { store } from './profiles.js';
+
+const SEEN_KEY = 'scheduleSeen';
+const KEEP_DAYS = 14;   // past days kept, so last week's highlights survive
+
+const FIELDS = ['classRoom', 'facultyName'];
+
+function getSeen() {
+  try { return JSON.parse(store.get(SEEN_KEY)) || {}; } catch { return {}; }
+}
+
+function saveSeen(seen) {
+  store.set(SEEN_KEY, JSON.stringify(seen));
+}
+
+function courseOf(ev) {
+  return `${ev.courseCode?.trim() || ev.courseName?.trim() || ev.title?.trim() || ''}|${ev.courseCompName?.trim() || ''}`;
+}
+
+// Identifies one class on a day; what the timetable matches highlights by
+export function classKey(ev) {
+  return `${courseOf(ev)}|${ev.start}`;
+}
+
+function slim(ev) {
+  const { courseCode, courseName, courseCompName, title, start, end, classRoom, facultyName } = ev;
+  return { courseCode, courseName, courseCompName, title, start, end, classRoom, facultyName };
+}
+
+function change(kind, day, before, after, fields = []) {
+  return {
+    kind, day, fields,
+    key: classKey(after || before),
+    courseName: (after || before).courseName || (after || before).title || '',
+    before: before && slim(before),
+    after: after && slim(after),
+  };
+}
+
+/**
+ * One day's diff. Classes are paired in three passes — same course and
+ * start, then same course at another time, then another course in the
+ * same slot — and whatever is left over was added or cancelled.
+ */
+function diffDay(day, prev, next, holiday) {
+  const out = [];
+  const old = [...prev], fresh = [...next];
+  const pair = match => {
+    for (let i = 0; i < old.length; i++) {
+      const j = fresh.findIndex(ev => match(old[i], ev));
+      if (j < 0) continue;
+      const [a] = old.splice(i--, 1), [b] = fresh.splice(j, 1);
+      const fields = [
+        ...(courseOf(a) !== courseOf(b) ? ['course'] : []),
+        ...(a.start !== b.start || a.end !== b.end ? ['time'] : []),
+        ...FIELDS.filter(f => (a[f] || '').trim() !== (b[f] || '').trim()),
+      ];
+      if (fields.length) out.push(change('changed', day, a, b, fields));
+    }
+  };
+  pair((a, b) => classKey(a) === classKey(b));
+  pair((a, b) => courseOf(a) === courseOf(b));
+  pair((a, b) => a.start === b.start);
+  old.forEach(a => out.push(change(holiday ? 'holiday' : 'cancelled', day, a, null)));
+  fresh.forEach(b => out.push(change('added', day, null, b)));
+  return out;
+}
+
+/**
+ * Records a fresh schedule. `days` maps every date the fetch covered
+ * ('YYYY-MM-DD', including days with nothing on) to its events as the
+ * portal sent them. Days seen for the first time are stored without a
+ * diff; days before `today` are stored but never reported. Returns the
+ * new changes.
+ */
+export function recordSchedule(days, today) {
+  const seen = getSeen();
+  const found = [];
+  Object.entries(days).forEach(([day, events]) => {
+    const classes = events.filter(ev => ev.type !== 'HOLIDAY').map(slim);
+    const holiday = events.find(ev => ev.type === 'HOLIDAY')?.title || null;
+    const before = seen[day];
+    let changes = before?.changes || [];
+    if (before && day >= today) {
+      const diff = diffDay(day, before.classes, classes, holiday);
+      const keys = new Set(diff.map(c => c.key));
+      changes = [...changes.filter(c => !keys.has(c.key)), ...diff];
+      found.push(...diff);
+    }
+    seen[day] = { classes, holiday, changes };
+  });
+
+  const oldest = new Date(Date.parse(today) - KEEP_DAYS * 86400000).toISOString().slice(0, 10);
+  Object.keys(seen).filter(day => day < oldest).forEach(day => delete seen[day]);
+  saveSeen(seen);
+  return found;
+}
+
+// Stored changes for one day ('YYYY-MM-DD')
+export function changesOn(day) {
+  return getSeen()[day]?.changes || [];
+}
+
+const LABELS = {
+  rescheduled: ['rescheduled', 'rescheduled'],
+  room: ['room change', 'room changes'],
+  faculty: ['faculty change', 'faculty changes'],
+  added: ['added', 'added'],
+  cancelled: ['cancelled', 'cancelled'],
+  holiday: ['off for a holiday', 'off for a holiday'],
+};
+
+// What kind of change a timetable badge or summary should call it
+export function changeLabel(c) {
+  if (c.kind !== 'changed') return c.kind;
+  if (c.fields.includes('course') || c.fields.includes('time')) return 'rescheduled';
+  return c.fields.includes('classRoom') ? 'room' : 'faculty';
+}
+
+// "2 room changes, 1 cancelled" — for a toast or notification
+export function summarizeChanges(list) {
+  const count = {};
+  list.forEach(c => { const l = changeLabel(c); count[l] = (count[l] || 0) + 1; });
+  return Object.entries(count).map(([l, n]) => `${n} ${LABELS[l][n > 1 ? 1 : 0]}`).join(', ');
+}
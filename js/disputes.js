@@ -0,0 +1,47 @@
+/**
+ * disputes.js — Attendance disputes
+ * Lectures the student says were wrongly marked ABSENT.
+ * Stored per profile (see profiles.js) as 'disputes' (array).
+ */
+
+import { store } from './profiles.js';
+
+const DISPUTES_KEY = 'disputes';
+
+function disputeId(courseId, courseCompId, date, timeSlot) {
+  return `${courseId}_${courseCompId}_${date}_${(timeSlot || '').trim()}`;
+}
+
+export function getDisputes() {
+  try { return JSON.parse(store.get(DISPUTES_KEY)) || []; } catch { return []; }
+}
+
+function saveDisputes(list) {
+  store.set(DISPUTES_KEY, JSON.stringify(list));
+}
+
+/**
+ * d: { courseId, courseCompId, courseCode, courseName, compName, date, timeSlot, note }
+ * `date` is the lecture's planLecDate exactly as the portal sends it.
+ */
+export function addDispute(d) {
+  const id = disputeId(d.courseId, d.courseCompId, d.date, d.timeSlot);
+  const list = getDisputes().filter(x => x.id !== id);
+  list.push({ ...d, id, createdAt: Date.now() });
+  saveDisputes(list);
+}
+
+export function removeDispute(id) {
+  saveDisputes(getDisputes().filter(x => x.id !== id));
+}
+
+export function findDispute(courseId, courseCompId, date, timeSlot) {
+  const id = disputeId(courseId, courseCompId, date, timeSlot);
+  return getDisputes().find(x => x.id === id) || null;
+}
+
+// Disputes for a course, optionally narrowed to one component
+export function disputesFor(courseId, courseCompId) {
+  return getDisputes().filter(x => x.courseId === courseId
+    && (courseCompId == null || x.courseCompId === courseCompId));
+}
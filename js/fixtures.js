@@ -0,0 +1,343 @@
+/**
+ * fixtures.js — Fixture transport for development and demos
+ * Serves canned CyberVidya responses for every endpoint api.js calls, so
+ * the app runs without a student token. Loaded by api.js only when fixture
+ * mode is on (open any page with ?fixtures=1).
+ *
+ * Options (URL params, remembered for the tab):
+ *   latency=ms        delay before every response (default 300)
+ *   errorRate=0..1    share of requests answered with a 500
+ *   errorPaths=a,b    path fragments that always answer 500
+ *   authFailAfter=n   answer 401 once n requests have succeeded with the
+ *                     current token (0 = at once)
+ *   offline=1         reject every request like a dropped connection
+ */
+
+const API_BASE = 'https://kiet.cybervidya.net/api';
+export const FIXTURE_PHOTO_URL = 'https://kiet.cybervidya.net/fixtures/photo.svg';
+
+const STUDENT_ID = 90001;
+
+// ── Canned data ──────────────────────────────────────────────
+const STUDENT = {
+  studentId: STUDENT_ID,
+  fullName: 'Aarav Sharma',
+  rollNumber: '2300290100001',
+  registrationNumber: 'KIET/2023/CS/0001',
+  branchShortName: 'CSE',
+  semesterName: 'Semester V',
+  degreeName: 'B.Tech',
+  admissionBatchName: '2023-27',
+};
+
+// Weekly slots: [weekday (1 = Mon), start, end]
+const COURSES = [
+  {
+    courseId: 501, courseCode: 'BCS501', courseName: 'Database Management Systems', credits: 5,
+    comps: [
+      { courseCompId: 5011, courseCompName: 'THEORY', present: 31, total: 36, faculty: 'Dr. Neha Gupta', room: 'CS-204', slots: [[1, '09:10', '10:00'], [3, '11:00', '11:50'], [5, '09:10', '10:00']] },
+      { courseCompId: 5012, courseCompName: 'PRACTICAL', present: 10, total: 12, faculty: 'Mr. Rohit Verma', room: 'Lab-3', slots: [[2, '14:00', '15:40']] },
+    ],
+  },
+  {
+    courseId: 502, courseCode: 'BCS502', courseName: 'Web Technology', credits: 5,
+    comps: [
+      { courseCompId: 5021, courseCompName: 'THEORY', present: 24, total: 34, faculty: 'Ms. Priya Singh', room: 'CS-101', slots: [[1, '11:00', '11:50'], [2, '10:05', '10:55'], [4, '09:10', '10:00']] },
+      { courseCompId: 5022, courseCompName: 'PRACTICAL', present: 7, total: 11, faculty: 'Ms. Priya Singh', room: 'Lab-1', slots: [[4, '14:00', '15:40']] },
+    ],
+  },
+  {
+    courseId: 503, courseCode: 'BCS503', courseName: 'Design and Analysis of Algorithms', credits: 4,
+    comps: [
+      { courseCompId: 5031, courseCompName: 'THEORY', present: 22, total: 35, faculty: 'Dr. Amit Kumar', room: 'CS-204', slots: [[2, '09:10', '10:00'], [3, '09:10', '10:00'], [5, '11:00', '11:50']] },
+    ],
+  },
+  {
+    courseId: 504, courseCode: 'BCS054', courseName: 'Machine Learning Techniques', credits: 3,
+    comps: [
+      { courseCompId: 5041, courseCompName: 'THEORY', present: 27, total: 33, faculty: 'Dr. Kavita Rao', room: 'CS-305', slots: [[1, '10:05', '10:55'], [3, '10:05', '10:55'], [4, '11:00', '11:50']] },
+    ],
+  },
+  {
+    courseId: 505, courseCode: 'BNC501', courseName: 'Constitution of India', credits: 0,
+    comps: [
+      { courseCompId: 5051, courseCompName: 'THEORY', present: 13, total: 15, faculty: 'Mr. S. K. Tiwari', room: 'LT-2', slots: [[5, '14:00', '14:50']] },
+    ],
+  },
+];
+
+// Holidays as day offsets from today, so the demo always has one nearby
+const HOLIDAY_OFFSETS = [[9, 'Diwali Break'], [10, 'Diwali Break'], [-12, 'Dussehra']];
+
+// ── Helpers ──────────────────────────────────────────────────
+const pad = n => String(n).padStart(2, '0');
+const dmy = d => `${pad(d.getDate())}/${pad(d.getMonth() + 1)}/${d.getFullYear()}`;
+const midnight = d => new Date(d.getFullYear(), d.getMonth(), d.getDate());
+
+function addDays(d, n) {
+  const out = new Date(d);
+  out.setDate(out.getDate() + n);
+  return out;
+}
+
+function parseISODate(s) {
+  const [y, m, d] = (s || '').split('-').map(Number);
+  return y ? new Date(y, m - 1, d) : null;
+}
+
+// Deterministic PRNG so the same component always gets the same absences
+function rng(seed) {
+  return () => {
+    seed = (seed + 0x6D2B79F5) | 0;
+    let t = Math.imul(seed ^ (seed >>> 15), 1 | seed);
+    t = (t + Math.imul(t ^ (t >>> 7), 61 | t)) ^ t;
+    return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+  };
+}
+
+function holidays() {
+  const today = midnight(new Date());
+  return HOLIDAY_OFFSETS.map(([off, title]) => ({ date: addDays(today, off), title }));
+}
+
+function isHoliday(d) {
+  return holidays().some(h => +h.date === +midnight(d));
+}
+
+function allComps() {
+  return COURSES.flatMap(c => c.comps.map(comp => ({ course: c, comp })));
+}
+
+// ── Endpoint builders ────────────────────────────────────────
+function registeredCourses() {
+  return COURSES.map(c => ({
+    studentId: STUDENT_ID,
+    courseId: c.courseId,
+    courseCode: c.courseCode,
+    courseName: c.courseName,
+    courseCredit: c.credits,
+    studentCourseCompDetails: c.comps.map(comp => ({
+      courseCompId: comp.courseCompId,
+      courseCompName: comp.courseCompName,
+      presentLecture: comp.present,
+      totalLecture: comp.total,
+      percent: +(comp.present / comp.total * 100).toFixed(2),
+    })),
+  }));
+}
+
+function dashboard() {
+  const comps = allComps().map(x => x.comp);
+  const present = comps.reduce((n, c) => n + c.present, 0);
+  const total = comps.reduce((n, c) => n + c.total, 0);
+  return { presentPerc: present / total * 100, presentLecture: present, totalLecture: total };
+}
+
+function schedule(params) {
+  const start = parseISODate(params.get('weekStartDate')) || midnight(new Date());
+  const end = parseISODate(params.get('weekEndDate')) || addDays(start, 6);
+  const out = [];
+  for (let d = new Date(start); d <= end; d = addDays(d, 1)) {
+    const holiday = holidays().find(h => +h.date === +d);
+    if (holiday) {
+      out.push({ type: 'HOLIDAY', title: holiday.title, start: `${dmy(d)} 00:00`, end: `${dmy(addDays(d, 1))} 00:00` });
+      continue;
+    }
+    allComps().forEach(({ course, comp }) => comp.slots
+      .filter(([dow]) => dow === d.getDay())
+      .forEach(([, from, to]) => out.push({
+        type: 'CLASS',
+        courseCode: course.courseCode,
+        courseName: course.courseName,
+        courseCompName: comp.courseCompName,
+        classRoom: comp.room,
+        facultyName: comp.faculty,
+        start: `${dmy(d)} ${from}`,
+        end: `${dmy(d)} ${to}`,
+      })));
+  }
+  return out;
+}
+
+// Walks back from today over the component's slots until `total` lectures
+// are placed, then marks exactly `total - present` of them absent
+function lectureWise(body) {
+  const found = allComps().find(x => x.course.courseId === body.courseId && x.comp.courseCompId === body.courseCompId);
+  if (!found) return [];
+  const { comp } = found;
+  const now = new Date();
+  const lectures = [];
+  for (let d = midnight(now); lectures.length < comp.total; d = addDays(d, -1)) {
+    if (isHoliday(d)) continue;
+    comp.slots.filter(([dow]) => dow === d.getDay()).forEach(([, from, to]) => {
+      const [h, m] = to.split(':').map(Number);
+      const ended = new Date(d);
+      ended.setHours(h, m);
+      if (ended <= now && lectures.length < comp.total) {
+        lectures.push({ planLecDate: dmy(d), timeSlot: `${from} - ${to}`, attendance: 'PRESENT' });
+      }
+    });
+  }
+  lectures.reverse();
+
+  const rand = rng(comp.courseCompId);
+  const absentIdx = new Set();
+  while (absentIdx.size < comp.total - comp.present) absentIdx.add(Math.floor(rand() * comp.total));
+  absentIdx.forEach(i => { lectures[i].attendance = 'ABSENT'; });
+
+  return [{
+    presentCount: comp.present,
+    lectureCount: comp.total,
+    percent: +(comp.present / comp.total * 100).toFixed(2),
+    lectureList: lectures,
+  }];
+}
+
+function examSchedule() {
+  const today = midnight(new Date());
+  return [
+    [14, '10:00 AM - 01:00 PM', COURSES[0]],
+    [16, '10:00 AM - 01:00 PM', COURSES[1]],
+    [16, '02:00 PM - 05:00 PM', COURSES[2]],
+    [19, '10:00 AM - 01:00 PM', COURSES[3]],
+    [22, '10:00 AM - 11:30 AM', COURSES[4]],
+  ].map(([off, time, c]) => ({
+    courseCode: c.courseCode,
+    courseName: c.courseName,
+    strExamDate: dmy(addDays(today, off)),
+    strExamTime: time,
+    evalLevelComponentName: 'Sessional Test 2',
+    examMode: 'OFFLINE',
+    examVenueName: 'Block C, Room 201',
+  }));
+}
+
+function examScore() {
+  // Marks roughly in line with the grade: internal out of 30, external out of 70
+  const gp = { 'A+': 10, A: 9, 'B+': 8, B: 7, C: 6, D: 5, E: 4, F: 2 };
+  const comp = (courseCompName, grade, credits, split = [30, 70]) => ({
+    courseCompName,
+    compSessionLevelMarks: [
+      { sessionName: 'INTERNAL', obtainedMarks: Math.round(split[0] * (gp[grade] * 0.09 + 0.05)), maxMarks: split[0], grade, compCredits: credits },
+      { sessionName: 'EXTERNAL', obtainedMarks: Math.round(split[1] * (gp[grade] * 0.09 - 0.02)), maxMarks: split[1], grade, compCredits: credits },
+    ],
+  });
+  // Subjects: [code, name, theory grade, credits, practical [grade, credits]?]
+  const sem = (semesterName, sgpa, subjects) => ({
+    semesterName,
+    sgpa,
+    studentMarksDetailsDTO: subjects.map(([courseCode, courseName, grade, credits, lab]) => ({
+      courseCode,
+      courseName,
+      resultSort: grade === 'F' || lab?.[0] === 'F' ? 'FAIL' : 'PASS',
+      courseCompDTOList: [
+        comp('THEORY', grade, credits),
+        ...(lab ? [comp('PRACTICAL', lab[0], lab[1], [50, 50])] : []),
+      ],
+    })),
+  });
+  return {
+    fullName: STUDENT.fullName,
+    cgpa: '7.79',
+    studentSemesterWiseMarksDetailsList: [
+      sem('Semester IV', '8.12', [
+        ['BCS401', 'Operating Systems', 'A', 3, ['A+', 1]],
+        ['BCS402', 'Theory of Automata', 'B+', 4],
+        ['BCS403', 'Object Oriented Programming', 'A+', 3],
+        ['BAS401', 'Technical Communication', 'A', 2],
+      ]),
+      sem('Semester III', '7.76', [
+        ['BCS301', 'Data Structures', 'A', 3, ['B+', 1]],
+        ['BCS302', 'Computer Organization', 'B', 4],
+        ['BCS303', 'Discrete Mathematics', 'B+', 3],
+        ['BAS303', 'Mathematics IV', 'A', 4],
+      ]),
+      sem('Semester II', '7.54', [
+        ['BCS201', 'Programming for Problem Solving', 'A', 3, ['A', 1]],
+        ['BAS203', 'Engineering Mathematics II', 'B', 4],
+        ['BAS202', 'Engineering Chemistry', 'B+', 3, ['A', 1]],
+        ['BEE201', 'Basic Electrical Engineering', 'C', 3],
+      ]),
+    ],
+  };
+}
+
+function examSessions() {
+  const today = midnight(new Date());
+  return [
+    { examSessionId: 31, sessionName: 'Sessional Test 2 (Odd 2026)', formType: 'REGULAR', strStartDate: dmy(addDays(today, -3)), strEndDate: dmy(addDays(today, 4)), status: 'OPEN' },
+    { examSessionId: 32, sessionName: 'End Semester (Odd 2026)', formType: 'REGULAR', strStartDate: dmy(addDays(today, 20)), strEndDate: dmy(addDays(today, 30)), status: 'UPCOMING' },
+    { examSessionId: 29, sessionName: 'Back Paper (Even 2026)', formType: 'BACK', strStartDate: dmy(addDays(today, -40)), strEndDate: dmy(addDays(today, -30)), status: 'CLOSED' },
+  ];
+}
+
+const PHOTO_SVG = `<svg xmlns="http://www.w3.org/2000/svg" viewBox="0 0 64 64"><rect width="64" height="64" fill="#7c3aed"/><text x="32" y="42" font-family="sans-serif" font-size="28" font-weight="700" fill="#fff" text-anchor="middle">AS</text></svg>`;
+
+// [method, path regex, builder(params, body)]
+const ROUTES = [
+  ['GET', /^\/student\/dashboard\/attendance$/, dashboard],
+  ['GET', /^\/student\/dashboard\/registered-courses$/, registeredCourses],
+  ['GET', /^\/attendance\/course\/component\/student$/, () => STUDENT],
+  ['GET', /^\/info\/student\/fetch$/, () => ({ ...STUDENT, profilePhoto: FIXTURE_PHOTO_URL })],
+  ['GET', /^\/student\/schedule\/class$/, schedule],
+  ['POST', /^\/attendance\/schedule\/student\/course\/attendance\/percentage$/, (_, body) => lectureWise(body)],
+  ['GET', /^\/exam\/schedule\/student\/exams$/, examSchedule],
+  ['GET', /^\/exam\/score\/get\/score$/, examScore],
+  ['GET', /^\/exam\/form\/session\/config\/getById\/student\/\d+$/, examSessions],
+];
+
+// ── Transport ────────────────────────────────────────────────
+function json(body, status = 200) {
+  return new Response(JSON.stringify(body), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+// Rejects like fetch() does when `signal` aborts, so the caller's timeout
+// and cancellation cut the simulated latency short
+function sleep(ms, signal) {
+  return new Promise((resolve, reject) => {
+    const abort = () => { clearTimeout(timer); reject(new DOMException('Request cancelled', 'AbortError')); };
+    const timer = setTimeout(() => { signal?.removeEventListener('abort', abort); resolve(); }, ms);
+    if (signal?.aborted) abort();
+    else signal?.addEventListener('abort', abort, { once: true });
+  });
+}
+
+export function createFixtureTransport(config = {}) {
+  const { latency = 300, errorRate = 0, errorPaths = [], authFailAfter = null, offline = false } = config;
+  let served = 0;
+  let lastAuth = null;
+
+  return {
+    async request(url, init = {}) {
+      // A new token (re-login) starts the 401 countdown again
+      const auth = init.headers?.Authorization ?? null;
+      if (auth !== lastAuth) { lastAuth = auth; served = 0; }
+
+      // ±30% jitter so parallel requests don't resolve in lockstep
+      await sleep(latency * (0.7 + Math.random() * 0.6), init.signal);
+      if (offline) throw new TypeError('Failed to fetch (fixture offline)');
+
+      const u = new URL(url);
+      const path = u.href.startsWith(API_BASE) ? u.pathname.slice(new URL(API_BASE).pathname.length) : u.pathname;
+
+      if (authFailAfter != null && served >= authFailAfter) return json({ message: 'Unauthorized' }, 401);
+      if (errorPaths.some(p => path.includes(p)) || Math.random() < errorRate) {
+        return json({ message: 'Simulated server error' }, 500);
+      }
+
+      if (url === FIXTURE_PHOTO_URL) {
+        served++;
+        return new Response(PHOTO_SVG, { status: 200, headers: { 'Content-Type': 'image/svg+xml' } });
+      }
+
+      const method = (init.method || 'GET').toUpperCase();
+      const route = ROUTES.find(([m, re]) => m === method && re.test(path));
+      if (!route) return json({ message: `No fixture for ${method} ${path}` }, 404);
+
+      let body = {};
+      try { body = init.body ? JSON.parse(init.body) : {}; } catch { }
+      served++;
+      return json({ data: route[2](u.searchParams, body) });
+    },
+  };
+}
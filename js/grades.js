@@ -0,0 +1,164 @@
+/**
+ * grades.js — Grade points, SGPA / CGPA, grade history and the what-if plan
+ * Uses the AKTU 10-point scale KIET follows. SGPA is the credit-weighted
+ * mean of grade points; CGPA is the same across every semester.
+ * The plan (expected grade and credits per current course) is stored per
+ * profile (see profiles.js) as 'gradePlan' ({ courseId: { grade, credits } }).
+ */
+
+import { store } from './profiles.js';
+
+const PLAN_KEY = 'gradePlan';
+
+export const GRADE_POINTS = { 'A+': 10, A: 9, 'B+': 8, B: 7, C: 6, D: 5, E: 4, F: 0 };
+export const GRADES = Object.keys(GRADE_POINTS);
+
+export function gradePoint(grade) {
+  const g = grade?.trim().toUpperCase();
+  return g in GRADE_POINTS ? GRADE_POINTS[g] : null;
+}
+
+export function gpa(points, credits) {
+  return credits > 0 ? points / credits : null;
+}
+
+// ── Score API ────────────────────────────────────────────────
+/**
+ * Every component of a subject from getExamScore (theory, practical, …):
+ * [{ compName, grade, credits, marks: [{ label, obtained, max }] }].
+ * A component's session-level rows (internal, external) all repeat its
+ * grade and credits, so those are taken once per component.
+ */
+export function subjectMarks(sub) {
+  return (sub.courseCompDTOList || []).map(comp => {
+    const rows = comp.compSessionLevelMarks || [];
+    const graded = rows.filter(m => m.grade?.trim());
+    return {
+      compName: comp.courseCompName?.trim() || '',
+      grade: graded.length ? graded[graded.length - 1].grade.trim() : '',
+      credits: Math.max(0, ...rows.map(m => parseFloat(m.compCredits) || 0)),
+      marks: rows
+        .filter(m => m.obtainedMarks != null)
+        .map(m => ({ label: m.sessionName?.trim() || '', obtained: m.obtainedMarks, max: m.maxMarks })),
+    };
+  });
+}
+
+/**
+ * Credits and grade points for one semester. Points come from the
+ * portal's SGPA when it has one, so totals match the official CGPA;
+ * otherwise they are worked out from the grades.
+ */
+export function semesterTotals(sem) {
+  let credits = 0, points = 0;
+  (sem.studentMarksDetailsDTO || []).forEach(sub => subjectMarks(sub).forEach(m => {
+    const gp = gradePoint(m.grade);
+    if (gp == null || !m.credits) return;
+    credits += m.credits;
+    points += gp * m.credits;
+  }));
+  const sgpa = parseFloat(sem.sgpa);
+  if (sgpa > 0 && credits) points = sgpa * credits;
+  return { credits, points, sgpa: gpa(points, credits) };
+}
+
+export function pastTotals(sems) {
+  return sems.reduce((t, sem) => {
+    const s = semesterTotals(sem);
+    t.credits += s.credits;
+    t.points += s.points;
+    return t;
+  }, { credits: 0, points: 0 });
+}
+
+// "Semester IV", "Sem-4", "Semester 3 (2024-25)", "3rd Semester" -> the
+// semester; null when there is none (a year like "Odd Semester 2025-26"
+// is not one)
+function semesterNumber(name) {
+  const m = /\bsem(?:ester)?[\s.-]*(\d{1,2}|[IVX]+)\b/i.exec(name || '')
+    || /\b(\d{1,2})(?:st|nd|rd|th)?\s+sem(?:ester)?\b/i.exec(name || '');
+  if (!m) return null;
+  if (/^\d+$/.test(m[1])) return parseInt(m[1]);
+  const val = { I: 1, V: 5, X: 10 };
+  return [...m[1].toUpperCase()].reduce((n, ch, i, all) =>
+    val[ch] < (val[all[i + 1]] || 0) ? n - val[ch] : n + val[ch], 0);
+}
+
+/**
+ * Semesters oldest first, each with its SGPA, the CGPA up to and
+ * including it, and how many of each grade it gave. The portal lists
+ * newest first, which is also the fallback when names carry no number.
+ */
+export function gradeHistory(sems) {
+  const numbered = sems.map(sem => ({ sem, n: semesterNumber(sem.semesterName) }));
+  const ordered = numbered.every(x => x.n != null)
+    ? numbered.sort((a, b) => a.n - b.n).map(x => x.sem)
+    : [...sems].reverse();
+
+  let credits = 0, points = 0;
+  return ordered.map(sem => {
+    const totals = semesterTotals(sem);
+    credits += totals.credits;
+    points += totals.points;
+    const grades = {};
+    (sem.studentMarksDetailsDTO || []).forEach(sub => subjectMarks(sub).forEach(m => {
+      if (m.grade && m.credits) grades[m.grade] = (grades[m.grade] || 0) + 1;
+    }));
+    return { name: sem.semesterName, ...totals, cgpa: gpa(points, credits), grades };
+  });
+}
+
+/**
+ * How far each graded component pulled the CGPA up or down:
+ * (grade point − CGPA) × credits, so the same grade matters more in a
+ * high-credit subject. Sorted strongest first.
+ */
+export function subjectImpact(sems, cgpa) {
+  return sems.flatMap(sem => (sem.studentMarksDetailsDTO || []).flatMap(sub =>
+    subjectMarks(sub)
+      .filter(m => m.credits && gradePoint(m.grade) != null)
+      .map(m => ({
+        courseName: sub.courseName,
+        compName: m.compName,
+        semesterName: sem.semesterName,
+        grade: m.grade,
+        credits: m.credits,
+        impact: (gradePoint(m.grade) - cgpa) * m.credits,
+      }))))
+    .sort((a, b) => b.impact - a.impact);
+}
+
+// ── What-if ──────────────────────────────────────────────────
+/**
+ * past: { credits, points }; planned: [{ grade, credits }].
+ * Rows missing a grade or credits are left out of the SGPA.
+ */
+export function projectGrades(past, planned) {
+  let credits = 0, points = 0;
+  planned.forEach(p => {
+    const gp = gradePoint(p.grade);
+    if (gp == null || !(p.credits > 0)) return;
+    credits += p.credits;
+    points += gp * p.credits;
+  });
+  return {
+    credits,
+    sgpa: gpa(points, credits),
+    cgpa: gpa(past.points + points, past.credits + credits),
+  };
+}
+
+// SGPA needed over `credits` this semester for the CGPA to reach `target`
+export function requiredSgpa(target, past, credits) {
+  if (!(credits > 0)) return null;
+  return (target * (past.credits + credits) - past.points) / credits;
+}
+
+// ── Stored plan ──────────────────────────────────────────────
+export function getGradePlan() {
+  try { return JSON.parse(store.get(PLAN_KEY)) || {}; } catch { return {}; }
+}
+
+export function saveGradePlan(plan) {
+  store.set(PLAN_KEY, JSON.stringify(plan));
+}
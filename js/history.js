@@ -0,0 +1,81 @@
+/**
+ * history.js — Attendance history snapshots
+ * The portal only returns current totals, so every refresh saves a dated
+ * snapshot in IndexedDB ('skipgenie' → 'snapshots'), one per student per
+ * day (the latest refresh of the day wins).
+ */
+
+const DB_NAME = 'skipgenie';
+const DB_VERSION = 1;
+const STORE = 'snapshots';
+
+let dbPromise = null;
+
+function openDB() {
+  if (dbPromise) return dbPromise;
+  dbPromise = new Promise((resolve, reject) => {
+    const req = indexedDB.open(DB_NAME, DB_VERSION);
+    req.onupgradeneeded = () => {
+      const store = req.result.createObjectStore(STORE, { keyPath: 'id' });
+      store.createIndex('studentId', 'studentId');
+    };
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => { dbPromise = null; reject(req.error); };
+  });
+  return dbPromise;
+}
+
+// Wraps a single-store transaction; `fn` gets the object store
+async function tx(mode, fn) {
+  const db = await openDB();
+  return new Promise((resolve, reject) => {
+    const t = db.transaction(STORE, mode);
+    const result = fn(t.objectStore(STORE));
+    t.oncomplete = () => resolve(result?.result ?? result);
+    t.onerror = () => reject(t.error);
+  });
+}
+
+// ── Helper ───────────────────────────────────────────────────
+function fmtDate(d) {
+  const y = d.getFullYear(), m = String(d.getMonth() + 1).padStart(2, '0'), dd = String(d.getDate()).padStart(2, '0');
+  return `${y}-${m}-${dd}`;
+}
+
+// ── Snapshots ────────────────────────────────────────────────
+
+/**
+ * Save today's snapshot for a student.
+ * courses: getRegisteredCourses() result; dashboard: getDashboardAttendance()
+ */
+export async function saveSnapshot(studentId, dashboard, courses) {
+  const date = fmtDate(new Date());
+  const snapshot = {
+    id: `${studentId}_${date}`,
+    studentId,
+    date,
+    ts: Date.now(),
+    presentPerc: dashboard?.presentPerc ?? null,
+    courses: courses.flatMap(c => (c.studentCourseCompDetails || []).map(d => ({
+      courseId: c.courseId,
+      courseCompId: d.courseCompId,
+      courseCode: c.courseCode,
+      courseName: c.courseName,
+      present: d.presentLecture || 0,
+      total: d.totalLecture || 0,
+    }))),
+  };
+  await tx('readwrite', store => store.put(snapshot));
+  return snapshot;
+}
+
+// All snapshots for a student, oldest first
+export async function getSnapshots(studentId) {
+  const rows = await tx('readonly', store => store.index('studentId').getAll(studentId));
+  return (rows || []).sort((a, b) => a.date.localeCompare(b.date));
+}
+
+export async function clearHistory(studentId) {
+  const rows = await getSnapshots(studentId);
+  await tx('readwrite', store => rows.forEach(r => store.delete(r.id)));
+}
@@ -0,0 +1,58 @@
+/**
+ * html.js — Safe HTML templates and delegated events
+ * html`…` escapes every interpolated value unless it is already an html`…`
+ * result or wrapped in raw(). Arrays are joined; null, undefined and false
+ * render nothing. Assign the result to innerHTML directly.
+ *
+ * Instead of inline onclick strings, elements name a handler:
+ *   <button data-action="openLecture" data-course-id="…">
+ *   <input data-change="setNotify" data-key="…">
+ * and actions({ openLecture(el, event) { … } }) registers it.
+ */
+
+class SafeHTML {
+  constructor(html) { this.html = html; }
+  toString() { return this.html; }
+}
+
+export function escapeHTML(value) {
+  return String(value ?? '').replace(/[&<>"']/g, ch => ({
+    '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;',
+  })[ch]);
+}
+
+// Trusted markup only — never API data or user input
+export function raw(html) {
+  return new SafeHTML(String(html ?? ''));
+}
+
+function render(value) {
+  if (value instanceof SafeHTML) return value.html;
+  if (Array.isArray(value)) return value.map(render).join('');
+  if (value == null || value === false) return '';
+  return escapeHTML(value);
+}
+
+export function html(strings, ...values) {
+  let out = strings[0];
+  values.forEach((v, i) => { out += render(v) + strings[i + 1]; });
+  return new SafeHTML(out);
+}
+
+// ── Delegated events ─────────────────────────────────────────
+const handlers = {};
+const ATTRS = { click: 'action', change: 'change' };
+
+export function actions(map) {
+  Object.assign(handlers, map);
+}
+
+// The innermost element with a handler wins, so a button inside a
+// clickable card doesn't also trigger the card
+Object.entries(ATTRS).forEach(([type, attr]) => {
+  document.addEventListener(type, e => {
+    const el = e.target.closest?.(`[data-${attr}]`);
+    const fn = el && handlers[el.dataset[attr]];
+    if (fn) fn(el, e);
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * ics.js — iCalendar (RFC 5545) writer
+ * Takes already-parsed events and returns .ics text. Times are written as
+ * wall-clock time in Asia/Kolkata, which is what the portal reports.
+ */
+
+const TZID = 'Asia/Kolkata';
+const PRODID = '-//SkipGenie//KIET Timetable//EN';
+
+// IST has had no DST since 1945, so a single STANDARD block is enough
+const VTIMEZONE = [
+  'BEGIN:VTIMEZONE',
+  `TZID:${TZID}`,
+  'BEGIN:STANDARD',
+  'DTSTART:19700101T000000',
+  'TZOFFSETFROM:+0530',
+  'TZOFFSETTO:+0530',
+  'TZNAME:IST',
+  'END:STANDARD',
+  'END:VTIMEZONE',
+];
+
+// ── Helpers ──────────────────────────────────────────────────
+const pad = n => String(n).padStart(2, '0');
+
+function fmtDay(d) {
+  return `${d.getFullYear()}${pad(d.getMonth() + 1)}${pad(d.getDate())}`;
+}
+
+function fmtLocal(d) {
+  return `${fmtDay(d)}T${pad(d.getHours())}${pad(d.getMinutes())}00`;
+}
+
+function fmtUTC(d) {
+  return d.toISOString().replace(/[-:]/g, '').replace(/\.\d{3}/, '');
+}
+
+// TEXT values: backslash, semicolon, comma and newlines must be escaped
+function escapeText(s) {
+  return String(s ?? '')
+    .replace(/\\/g, '\\\\')
+    .replace(/;/g, '\\;')
+    .replace(/,/g, '\\,')
+    .replace(/\r?\n/g, '\\n');
+}
+
+// Lines longer than 75 octets are folded with CRLF + space
+function fold(line) {
+  const bytes = new TextEncoder().encode(line);
+  if (bytes.length <= 75) return line;
+  const out = [];
+  let cur = '', len = 0;
+  for (const ch of line) {
+    const n = new TextEncoder().encode(ch).length;
+    if (len + n > (out.length ? 74 : 75)) { out.push(cur); cur = ''; len = 0; }
+    cur += ch; len += n;
+  }
+  out.push(cur);
+  return out.join('\r\n ');
+}
+
+export function uidPart(s) {
+  return String(s ?? '').trim().replace(/[^A-Za-z0-9]+/g, '-').replace(/^-|-$/g, '').toLowerCase();
+}
+
+// ── Writer ───────────────────────────────────────────────────
+
+/**
+ * events: [{ uid, start: Date, end?: Date, allDay?, summary, location?,
+ *            description?, categories? }]
+ * `uid` must be stable for the same real-world event so that importing
+ * again updates it instead of creating a duplicate.
+ */
+export function buildCalendar(events, { name = 'SkipGenie' } = {}) {
+  const stamp = fmtUTC(new Date());
+  // Increases on every export so calendars accept the newer copy
+  const sequence = Math.floor(Date.now() / 60000);
+
+  const lines = [
+    'BEGIN:VCALENDAR',
+    'VERSION:2.0',
+    `PRODID:${PRODID}`,
+    'CALSCALE:GREGORIAN',
+    'METHOD:PUBLISH',
+    `X-WR-CALNAME:${escapeText(name)}`,
+    `X-WR-TIMEZONE:${TZID}`,
+    ...VTIMEZONE,
+  ];
+
+  events.forEach(ev => {
+    lines.push('BEGIN:VEVENT', `UID:${ev.uid}`, `DTSTAMP:${stamp}`, `SEQUENCE:${sequence}`);
+    if (ev.allDay) {
+      const next = new Date(ev.start);
+      next.setDate(next.getDate() + 1);
+      lines.push(`DTSTART;VALUE=DATE:${fmtDay(ev.start)}`, `DTEND;VALUE=DATE:${fmtDay(ev.end || next)}`);
+    } else {
+      lines.push(`DTSTART;TZID=${TZID}:${fmtLocal(ev.start)}`);
+      if (ev.end) lines.push(`DTEND;TZID=${TZID}:${fmtLocal(ev.end)}`);
+    }
+    lines.push(`SUMMARY:${escapeText(ev.summary)}`);
+    if (ev.location) lines.push(`LOCATION:${escapeText(ev.location)}`);
+    if (ev.description) lines.push(`DESCRIPTION:${escapeText(ev.description)}`);
+    if (ev.categories) lines.push(`CATEGORIES:${escapeText(ev.categories)}`);
+    lines.push('END:VEVENT');
+  });
+
+  lines.push('END:VCALENDAR');
+  return lines.map(fold).join('\r\n') + '\r\n';
+}
+
+export function downloadCalendar(text, filename) {
+  const blob = new Blob([text], { type: 'text/calendar;charset=utf-8' });
+  const url = URL.createObjectURL(blob);
+  const a = document.createElement('a');
+  a.href = url;
+  a.download = filename;
+  document.body.appendChild(a);
+  a.click();
+  a.remove();
+  setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
@@ -0,0 +1,60 @@
+/**
+ * notify.js — Local notifications
+ * Opt-in settings stored per profile (see profiles.js) as 'notifySettings'.
+ * Notifications go through the service worker when there is one (required
+ * on Android) and fall back to the page-level Notification API.
+ */
+
+import { store } from './profiles.js';
+
+const SETTINGS_KEY = 'notifySettings';
+
+export const DEFAULT_NOTIFY = {
+  classReminders: false,
+  reminderMinutes: 10,
+  dropAlerts: false,
+  morningSummary: false,
+  summaryTime: '07:30',
+};
+
+// ── Settings ─────────────────────────────────────────────────
+export function getNotifySettings() {
+  let saved = {};
+  try { saved = JSON.parse(store.get(SETTINGS_KEY)) || {}; } catch { }
+  return { ...DEFAULT_NOTIFY, ...saved };
+}
+
+export function saveNotifySettings(settings) {
+  store.set(SETTINGS_KEY, JSON.stringify(settings));
+}
+
+// ── Permission ───────────────────────────────────────────────
+export function notificationsSupported() {
+  return 'Notification' in window;
+}
+
+export function notificationPermission() {
+  return notificationsSupported() ? Notification.permission : 'unsupported';
+}
+
+export async function requestNotificationPermission() {
+  if (!notificationsSupported()) return 'unsupported';
+  if (Notification.permission !== 'default') return Notification.permission;
+  return Notification.requestPermission();
+}
+
+// ── Show ─────────────────────────────────────────────────────
+
+/**
+ * `tag` replaces an earlier notification with the same tag instead of
+ * stacking a duplicate; `url` is opened when the notification is tapped.
+ */
+export async function showNotification(title, { body, tag, url = 'app.html' } = {}) {
+  if (notificationPermission() !== 'granted') return;
+  const options = { body, tag, icon: 'favicon.jpg', badge: 'favicon.jpg', data: { url } };
+  try {
+    const reg = await navigator.serviceWorker?.getRegistration();
+    if (reg) { await reg.showNotification(title, options); return; }
+  } catch { }
+  new Notification(title, options);
+}
@@ -0,0 +1,55 @@
+/**
+ * policy.js — Attendance policy
+ * Required percentage, warning (condonation) floor and per-course overrides.
+ * Stored per profile (see profiles.js) as 'attendancePolicy'
+ */
+
+import { store } from './profiles.js';
+
+const POLICY_KEY = 'attendancePolicy';
+
+export const DEFAULT_POLICY = { min: 75, warn: 65, overrides: {} };
+
+// ── Helpers ──────────────────────────────────────────────────
+function clampPct(v, fallback) {
+  const n = parseFloat(v);
+  if (!Number.isFinite(n)) return fallback;
+  return Math.min(99, Math.max(1, n));
+}
+
+// Warning floor can never sit above the requirement it warns about
+function normalise(min, warn) {
+  return { min, warn: Math.min(warn, min) };
+}
+
+// ── Read / write ─────────────────────────────────────────────
+export function getPolicy() {
+  let saved = {};
+  try { saved = JSON.parse(store.get(POLICY_KEY)) || {}; } catch { }
+
+  const { min, warn } = normalise(
+    clampPct(saved.min, DEFAULT_POLICY.min),
+    clampPct(saved.warn, DEFAULT_POLICY.warn),
+  );
+  const overrides = {};
+  Object.entries(saved.overrides || {}).forEach(([courseId, o]) => {
+    if (o?.min == null) return;
+    overrides[courseId] = normalise(clampPct(o.min, min), clampPct(o.warn, warn));
+  });
+  return { min, warn, overrides };
+}
+
+export function savePolicy(policy) {
+  store.set(POLICY_KEY, JSON.stringify(policy));
+}
+
+export function resetPolicy() {
+  store.remove(POLICY_KEY);
+}
+
+// Effective { min, warn } for a course (global policy if courseId is omitted)
+export function policyFor(courseId) {
+  const policy = getPolicy();
+  const o = courseId != null ? policy.overrides[courseId] : null;
+  return o ? { min: o.min, warn: o.warn } : { min: policy.min, warn: policy.warn };
+}
@@ -0,0 +1,139 @@
+/**
+ * profiles.js — Account profiles
+ * Each profile keeps its token, cached data and settings in localStorage
+ * under 'profile:<id>:<key>' — read and write them through `store`.
+ * The list lives in 'profiles' and the one in use in 'activeProfile'.
+ * Device-wide keys (theme, proxyBase) stay unscoped.
+ *
+ * The login page still writes a plain 'authToken'; it is moved into a new
+ * profile as soon as the app loads.
+ */
+
+const PROFILES_KEY = 'profiles';
+const ACTIVE_KEY = 'activeProfile';
+const SCOPE = 'profile:';
+
+// Per-account keys written before profiles existed
+const LEGACY_KEYS = [
+  'authToken', 'authTokenTimestamp', 'studentId', 'attendancePolicy',
+  'notifySettings', 'notifyLastSummary', 'notifyLastStatus', 'disputes',
+];
+const LEGACY_PREFIXES = ['cached', 'fixture:cached'];
+
+// ── Profile list ─────────────────────────────────────────────
+export function getProfiles() {
+  try { return JSON.parse(localStorage.getItem(PROFILES_KEY)) || []; } catch { return []; }
+}
+
+function saveProfiles(list) {
+  localStorage.setItem(PROFILES_KEY, JSON.stringify(list));
+}
+
+// 'default' only while no profile exists (e.g. fixture mode before any login)
+export function activeProfileId() {
+  return localStorage.getItem(ACTIVE_KEY) || 'default';
+}
+
+export function activeProfile() {
+  return getProfiles().find(p => p.id === activeProfileId()) || null;
+}
+
+// ── Scoped storage ───────────────────────────────────────────
+function prefix(id = activeProfileId()) {
+  return `${SCOPE}${id}:`;
+}
+
+function keysOf(id) {
+  const pre = prefix(id);
+  return Object.keys(localStorage).filter(k => k.startsWith(pre)).map(k => k.slice(pre.length));
+}
+
+export const store = {
+  get: key => localStorage.getItem(prefix() + key),
+  set: (key, value) => localStorage.setItem(prefix() + key, value),
+  remove: key => localStorage.removeItem(prefix() + key),
+  keys: () => keysOf(activeProfileId()),
+};
+
+// ── Lifecycle ────────────────────────────────────────────────
+function createProfile() {
+  const list = getProfiles();
+  // `auto` names are replaced by the student's name once it is known
+  const profile = { id: Date.now().toString(36), name: `Account ${list.length + 1}`, auto: true, studentId: null, rollNumber: null };
+  saveProfiles([...list, profile]);
+  return profile;
+}
+
+// A plain 'authToken' is a fresh login from index.html. On the very first
+// run it also brings along everything the single-account version stored.
+function claimLogin() {
+  if (!localStorage.getItem('authToken')) return;
+  const firstRun = !localStorage.getItem(PROFILES_KEY);
+  const keys = firstRun
+    ? Object.keys(localStorage).filter(k => LEGACY_KEYS.includes(k) || LEGACY_PREFIXES.some(p => k.startsWith(p)))
+    : ['authToken', 'authTokenTimestamp'];
+
+  const profile = createProfile();
+  keys.forEach(k => {
+    localStorage.setItem(prefix(profile.id) + k, localStorage.getItem(k));
+    localStorage.removeItem(k);
+  });
+  localStorage.setItem(ACTIVE_KEY, profile.id);
+}
+
+claimLogin();
+
+export function switchProfile(id) {
+  if (getProfiles().some(p => p.id === id)) localStorage.setItem(ACTIVE_KEY, id);
+}
+
+export function renameProfile(id, name) {
+  saveProfiles(getProfiles().map(p => p.id === id ? { ...p, name, auto: false } : p));
+}
+
+/**
+ * Deletes a profile and everything stored under it. If it was the active
+ * one, the next profile takes over. Returns the new active id, or null
+ * when no profiles are left.
+ */
+export function removeProfile(id = activeProfileId()) {
+  keysOf(id).forEach(k => localStorage.removeItem(prefix(id) + k));
+  const list = getProfiles().filter(p => p.id !== id);
+  saveProfiles(list);
+  if (activeProfileId() === id) {
+    if (list.length) localStorage.setItem(ACTIVE_KEY, list[0].id);
+    else localStorage.removeItem(ACTIVE_KEY);
+  }
+  return list.length ? activeProfileId() : null;
+}
+
+/**
+ * Records who the active profile belongs to. Logging in again to an
+ * account that already has a profile folds the old profile into this one,
+ * keeping its settings and disputes but not its stale token.
+ */
+export function rememberIdentity({ studentId, fullName, rollNumber }) {
+  const id = activeProfileId();
+  let list = getProfiles();
+  const me = list.find(p => p.id === id);
+  if (!me || studentId == null) return;
+
+  const dup = list.find(p => p.id !== id && p.studentId === studentId);
+  if (dup) {
+    const mine = new Set(keysOf(id));
+    keysOf(dup.id)
+      .filter(k => !mine.has(k) && k !== 'authToken' && k !== 'authTokenTimestamp')
+      .forEach(k => localStorage.setItem(prefix(id) + k, localStorage.getItem(prefix(dup.id) + k)));
+    removeProfile(dup.id);
+    if (!dup.auto) { me.name = dup.name; me.auto = false; }
+    list = getProfiles();
+  }
+
+  saveProfiles(list.map(p => p.id === id ? {
+    ...p,
+    name: me.auto && fullName ? fullName : me.name,
+    auto: me.auto && !fullName,
+    studentId,
+    rollNumber: rollNumber?.trim() || p.rollNumber,
+  } : p));
+}
@@ -0,0 +1,38 @@
+/**
+ * router.js — URL hash routes
+ * The hash holds the page plus whatever view state makes a link worth
+ * bookmarking or sharing:
+ *   #/timetable?week=1
+ *   #/home?course=101&comp=5001          (open lecture list)
+ *   #/projection?date=2026-12-01&assume=all
+ * app.js decides what each param means; this module only reads and
+ * writes the hash and reports back/forward moves.
+ */
+
+export function parseRoute(hash) {
+  const [path, query = ''] = hash.replace(/^#\/?/, '').split('?');
+  return { page: path || null, params: Object.fromEntries(new URLSearchParams(query)) };
+}
+
+export function currentRoute() {
+  return parseRoute(location.hash);
+}
+
+// Empty params are left out, so the default view keeps a clean URL
+export function routeHash({ page, params = {} }) {
+  const query = new URLSearchParams(
+    Object.entries(params).filter(([, v]) => v != null && v !== '')).toString();
+  return `#/${page}${query ? `?${query}` : ''}`;
+}
+
+// `replace` updates the current history entry instead of adding one
+export function setRoute(route, { replace = false } = {}) {
+  const hash = routeHash(route);
+  if (hash === location.hash) return;
+  history[replace ? 'replaceState' : 'pushState'](null, '', hash);
+}
+
+// Back/forward and hand-edited hashes; setRoute itself never triggers it
+export function onRouteChange(fn) {
+  window.addEventListener('popstate', () => fn(currentRoute()));
+}
@@ -0,0 +1,144 @@
+/**
+ * relay/server.mjs — Self-hosted CORS relay for SkipGenie
+ * kiet.cybervidya.net sends no CORS headers, so a browser app on another
+ * origin needs something in between. This relay forwards only the
+ * endpoints js/api.js calls, adds CORS headers, and passes the student's
+ * Authorization header straight through. Headers are never logged.
+ *
+ * Run (Node 18+, no dependencies):
+ *   node relay/server.mjs
+ * Env:
+ *   PORT             listen port (default 8787)
+ *   ALLOWED_ORIGINS  comma-separated origins allowed to call the relay,
+ *                    e.g. https://you.github.io (default * — any origin)
+ *   UPSTREAM         portal origin (default https://kiet.cybervidya.net)
+ *
+ * Then point the app at it: Settings → API relay → http://your-host:8787
+ *   GET|POST /api/<allowed path>   → UPSTREAM/api/<path>
+ *   GET      /photo?url=<photo>    → the profile photo (images only)
+ */
+
+import { createServer } from 'node:http';
+
+const PORT = parseInt(process.env.PORT) || 8787;
+const UPSTREAM = (process.env.UPSTREAM || 'https://kiet.cybervidya.net').replace(/\/+$/, '');
+const ALLOWED_ORIGINS = (process.env.ALLOWED_ORIGINS || '*').split(',').map(s => s.trim()).filter(Boolean);
+const TIMEOUT_MS = 20000;
+const MAX_BODY = 16 * 1024;
+
+// Keep in step with the endpoint list in js/api.js
+const ROUTES = [
+  ['GET', /^\/student\/dashboard\/attendance$/],
+  ['GET', /^\/student\/dashboard\/registered-courses$/],
+  ['GET', /^\/attendance\/course\/component\/student$/],
+  ['GET', /^\/info\/student\/fetch$/],
+  ['GET', /^\/student\/schedule\/class$/],
+  ['POST', /^\/attendance\/schedule\/student\/course\/attendance\/percentage$/],
+  ['GET', /^\/exam\/schedule\/student\/exams$/],
+  ['GET', /^\/exam\/score\/get\/score$/],
+  ['GET', /^\/exam\/form\/session\/config\/getById\/student\/\d+$/],
+];
+
+// ── CORS ─────────────────────────────────────────────────────
+function corsHeaders(origin) {
+  const allowAll = ALLOWED_ORIGINS.includes('*');
+  if (!allowAll && !ALLOWED_ORIGINS.includes(origin)) return null;
+  return {
+    'Access-Control-Allow-Origin': allowAll ? '*' : origin,
+    'Access-Control-Allow-Methods': 'GET, POST, OPTIONS',
+    'Access-Control-Allow-Headers': 'Authorization, Content-Type',
+    'Access-Control-Max-Age': '86400',
+    'Vary': 'Origin',
+  };
+}
+
+// ── Helpers ──────────────────────────────────────────────────
+function send(res, status, headers, body) {
+  res.writeHead(status, { 'Content-Type': 'application/json', ...headers });
+  res.end(body === undefined ? undefined : JSON.stringify(body));
+}
+
+function readBody(req) {
+  return new Promise((resolve, reject) => {
+    const chunks = [];
+    let size = 0;
+    req.on('data', chunk => {
+      size += chunk.length;
+      if (size > MAX_BODY) { reject(new Error('Body too large')); req.destroy(); return; }
+      chunks.push(chunk);
+    });
+    req.on('end', () => resolve(Buffer.concat(chunks)));
+    req.on('error', reject);
+  });
+}
+
+// Path only — query strings can carry photo URLs and are not needed here
+function log(method, path, status, started) {
+  console.log(`${new Date().toISOString()} ${method} ${path} ${status} ${Date.now() - started}ms`);
+}
+
+// Resolves a request to the upstream URL, or null if it isn't allowed
+function upstreamURL(method, url) {
+  if (url.pathname.startsWith('/api/')) {
+    const path = url.pathname.slice(4);
+    if (!ROUTES.some(([m, re]) => m === method && re.test(path))) return null;
+    return `${UPSTREAM}/api${path}${url.search}`;
+  }
+  if (url.pathname === '/photo' && method === 'GET') {
+    let photo;
+    try { photo = new URL(url.searchParams.get('url')); } catch { return null; }
+    if (photo.origin !== UPSTREAM) return null;
+    return photo.href;
+  }
+  return null;
+}
+
+// ── Server ───────────────────────────────────────────────────
+const server = createServer(async (req, res) => {
+  const started = Date.now();
+  const url = new URL(req.url, 'http://relay');
+  const cors = corsHeaders(req.headers.origin || '');
+
+  if (!cors) { send(res, 403, {}, { message: 'Origin not allowed' }); log(req.method, url.pathname, 403, started); return; }
+  if (req.method === 'OPTIONS') { send(res, 204, cors); return; }
+  if (url.pathname === '/health') { send(res, 200, cors, { ok: true }); return; }
+
+  const target = upstreamURL(req.method, url);
+  if (!target) { send(res, 404, cors, { message: 'Not relayed' }); log(req.method, url.pathname, 404, started); return; }
+
+  try {
+    const headers = {};
+    if (req.headers.authorization) headers['Authorization'] = req.headers.authorization;
+    if (req.headers['content-type']) headers['Content-Type'] = req.headers['content-type'];
+
+    const upstream = await fetch(target, {
+      method: req.method,
+      headers,
+      body: req.method === 'POST' ? await readBody(req) : undefined,
+      signal: AbortSignal.timeout(TIMEOUT_MS),
+      redirect: 'manual',
+    });
+
+    const type = upstream.headers.get('content-type') || 'application/octet-stream';
+    // The photo route must not become an open proxy for arbitrary portal pages
+    if (url.pathname === '/photo' && upstream.ok && !type.startsWith('image/')) {
+      send(res, 502, cors, { message: 'Upstream did not return an image' });
+      log(req.method, url.pathname, 502, started);
+      return;
+    }
+
+    const body = Buffer.from(await upstream.arrayBuffer());
+    res.writeHead(upstream.status, { ...cors, 'Content-Type': type, 'Cache-Control': 'no-store' });
+    res.end(body);
+    log(req.method, url.pathname, upstream.status, started);
+  } catch (err) {
+    const status = err.message === 'Body too large' ? 413 : err.name === 'TimeoutError' ? 504 : 502;
+    const message = { 413: 'Request body too large', 504: 'Upstream timed out', 502: 'Upstream unreachable' }[status];
+    send(res, status, cors, { message });
+    log(req.method, url.pathname, status, started);
+  }
+});
+
+server.listen(PORT, () => {
+  console.log(`SkipGenie relay on :${PORT} → ${UPSTREAM} (origins: ${ALLOWED_ORIGINS.join(', ')})`);
+});
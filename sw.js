@@ -0,0 +1,122 @@
+/**
+ * sw.js — SkipGenie service worker
+ * App shell: precached, served cache-first. Bump CACHE_VERSION on every
+ * deploy so clients pick up the new shell (app.js shows an update prompt).
+ * API calls (any other origin — the portal or a self-hosted relay):
+ * network-only. Responses are cached by api.js in localStorage, which is
+ * cleared on logout — never in Cache Storage, which is not.
+ * Fonts: stale-while-revalidate.
+ */
+
+const CACHE_VERSION = 'v34';
+const SHELL_CACHE = `skipgenie-shell-${CACHE_VERSION}`;
+const FONT_CACHE = 'skipgenie-fonts';
+
+const SHELL = [
+  './',
+  'index.html',
+  'app.html',
+  'css/style.css',
+  'js/api.js',
+  'js/app.js',
+  'js/policy.js',
+  'js/history.js',
+  'js/ics.js',
+  'js/notify.js',
+  'js/disputes.js',
+  'js/fixtures.js',
+  'js/profiles.js',
+  'js/html.js',
+  'js/router.js',
+  'js/grades.js',
+  'js/changes.js',
+  'favicon.jpg',
+  'manifest.webmanifest',
+];
+
+const FONT_HOSTS = ['fonts.googleapis.com', 'fonts.gstatic.com'];
+
+// ── Lifecycle ────────────────────────────────────────────────
+self.addEventListener('install', e => {
+  e.waitUntil(caches.open(SHELL_CACHE).then(c => c.addAll(SHELL)));
+  // No skipWaiting() here — the page asks for it once the user agrees
+});
+
+self.addEventListener('activate', e => {
+  e.waitUntil((async () => {
+    const keys = await caches.keys();
+    await Promise.all(keys
+      .filter(k => k.startsWith('skipgenie-shell-') && k !== SHELL_CACHE)
+      .map(k => caches.delete(k)));
+    await self.clients.claim();
+  })());
+});
+
+self.addEventListener('message', e => {
+  if (e.data?.type === 'SKIP_WAITING') self.skipWaiting();
+});
+
+// ── Notifications ────────────────────────────────────────────
+// Focus an open SkipGenie tab if there is one, else open the app
+self.addEventListener('notificationclick', e => {
+  e.notification.close();
+  const target = new URL(e.notification.data?.url || 'app.html', self.registration.scope).href;
+  e.waitUntil((async () => {
+    const tabs = await self.clients.matchAll({ type: 'window', includeUncontrolled: true });
+    const open = tabs.find(c => c.url.startsWith(self.registration.scope));
+    if (open) return open.focus();
+    return self.clients.openWindow(target);
+  })());
+});
+
+// ── Fetch ────────────────────────────────────────────────────
+self.addEventListener('fetch', e => {
+  const req = e.request;
+  if (req.method !== 'GET' && req.method !== 'POST') return;
+  const url = new URL(req.url);
+
+  if (FONT_HOSTS.includes(url.hostname)) {
+    if (req.method === 'GET') e.respondWith(staleWhileRevalidate(req, FONT_CACHE));
+    return;
+  }
+  if (url.origin !== self.location.origin) {
+    e.respondWith(networkOnly(req));
+    return;
+  }
+  if (req.method === 'GET') e.respondWith(shellFirst(req));
+});
+
+// Offline API calls fail fast with a 503 so api.js falls back to its cache
+async function networkOnly(req) {
+  try {
+    return await fetch(req);
+  } catch {
+    return new Response(JSON.stringify({ message: 'Offline' }), {
+      status: 503,
+      headers: { 'Content-Type': 'application/json' },
+    });
+  }
+}
+
+async function shellFirst(req) {
+  const cache = await caches.open(SHELL_CACHE);
+  // ignoreSearch so app.html?x and index.html?token=… still hit the shell
+  const hit = await cache.match(req, { ignoreSearch: true });
+  if (hit) return hit;
+  try {
+    return await fetch(req);
+  } catch {
+    if (req.mode === 'navigate') return cache.match('app.html');
+    throw new Error('Offline and not cached: ' + req.url);
+  }
+}
+
+async function staleWhileRevalidate(req, cacheName) {
+  const cache = await caches.open(cacheName);
+  const hit = await cache.match(req);
+  const fresh = fetch(req).then(res => {
+    if (res.ok || res.type === 'opaque') cache.put(req, res.clone());
+    return res;
+  }).catch(() => hit);
+  return hit || fresh;
+}